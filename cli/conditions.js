@@ -0,0 +1,153 @@
+// `when` conditions on template files, rule entries and variables, e.g.
+// "auth == 'nextauth' && !minimal". Supports identifiers, string, number and
+// boolean literals, == != ! && || and parentheses. Evaluated without eval().
+
+const TOKEN_PATTERN = /\s*(?:(==|!=|&&|\|\||[!()])|'([^']*)'|"([^"]*)"|(-?\d+(?:\.\d+)?)|([a-zA-Z_][a-zA-Z0-9_]*))/y
+
+export function evaluateCondition(expression, values = {}) {
+  if (expression === undefined || expression === null || expression === '') return true
+
+  const tokens = tokenize(expression)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const next = () => tokens[position++]
+  const fail = (message) => {
+    throw new Error(`Invalid condition "${expression}": ${message}`)
+  }
+
+  function parseOr() {
+    let result = parseAnd()
+    while (peek()?.op === '||') {
+      next()
+      const right = parseAnd()
+      result = truthy(result) || truthy(right)
+    }
+    return result
+  }
+
+  function parseAnd() {
+    let result = parseEquality()
+    while (peek()?.op === '&&') {
+      next()
+      const right = parseEquality()
+      result = truthy(result) && truthy(right)
+    }
+    return result
+  }
+
+  function parseEquality() {
+    let result = parseUnary()
+    while (peek()?.op === '==' || peek()?.op === '!=') {
+      const { op } = next()
+      const right = parseUnary()
+      result = op === '==' ? looseEquals(result, right) : !looseEquals(result, right)
+    }
+    return result
+  }
+
+  function parseUnary() {
+    if (peek()?.op === '!') {
+      next()
+      return !truthy(parseUnary())
+    }
+    return parsePrimary()
+  }
+
+  function parsePrimary() {
+    const token = next()
+    if (!token) fail('unexpected end')
+
+    if (token.op === '(') {
+      const result = parseOr()
+      if (next()?.op !== ')') fail('missing )')
+      return result
+    }
+    if (token.op) fail(`unexpected "${token.op}"`)
+    if ('value' in token) return token.value
+
+    if (token.name === 'true') return true
+    if (token.name === 'false') return false
+    // Only the values themselves, so "constructor" is not read off Object.prototype
+    return Object.hasOwn(values, token.name) ? values[token.name] : undefined
+  }
+
+  const result = parseOr()
+  if (position < tokens.length) fail('unexpected trailing input')
+  return truthy(result)
+}
+
+// Keep entries whose `when` holds. Plain strings have no condition.
+export function filterByCondition(entries = [], values) {
+  return entries.filter(entry =>
+    typeof entry === 'string' || evaluateCondition(entry.when, values)
+  )
+}
+
+// Resolve a template for the chosen variable values: drop files, rule
+// entries, appendix sections and rule sets whose `when` is false
+export function applyTemplateConditions(template, values) {
+  const resolved = { ...template }
+
+  if (template.files) {
+    resolved.files = filterByCondition(template.files, values)
+  }
+  if (template.rules) {
+    resolved.rules = applyRuleConditions(template.rules, values)
+  }
+  if (template.ruleSets) {
+    resolved.ruleSets = filterByCondition(template.ruleSets, values)
+      .map(ruleSet => ({ ...ruleSet, rules: applyRuleConditions(ruleSet.rules, values) }))
+  }
+
+  return resolved
+}
+
+function applyRuleConditions(rules = {}, values) {
+  const resolved = { ...rules }
+
+  for (const key of ['restrictions', 'preferences']) {
+    if (rules[key]) resolved[key] = filterByCondition(rules[key], values)
+  }
+  if (rules.style?.conventions) {
+    resolved.style = { ...rules.style, conventions: filterByCondition(rules.style.conventions, values) }
+  }
+  if (Array.isArray(rules.appendix)) {
+    resolved.appendix = filterByCondition(rules.appendix, values)
+  }
+
+  return resolved
+}
+
+function tokenize(expression) {
+  const tokens = []
+  TOKEN_PATTERN.lastIndex = 0
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break
+
+    const start = TOKEN_PATTERN.lastIndex
+    const match = TOKEN_PATTERN.exec(expression)
+    if (!match) {
+      throw new Error(`Invalid condition "${expression}": unexpected input at ${start}`)
+    }
+
+    const [, op, single, double, number, name] = match
+    if (op) tokens.push({ op })
+    else if (single !== undefined) tokens.push({ value: single })
+    else if (double !== undefined) tokens.push({ value: double })
+    else if (number !== undefined) tokens.push({ value: Number(number) })
+    else tokens.push({ name })
+  }
+
+  return tokens
+}
+
+// Variables given on the command line arrive as strings
+function looseEquals(a, b) {
+  return String(a) === String(b)
+}
+
+function truthy(value) {
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 'false'
+}
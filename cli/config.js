@@ -0,0 +1,153 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { toRegistryUrl } from './registry.js'
+import { PACKAGE_MANAGERS } from './variables.js'
+import { parsePublicKey } from './trust.js'
+
+export const USER_CONFIG_FILE = path.join(
+  process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'),
+  'cursor-templates',
+  'config.json'
+)
+export const PROJECT_CONFIG_FILE = '.cursortemplatesrc'
+
+// Keys of `defaults`: option values used when the command line doesn't give one
+const DEFAULT_OPTIONS = ['layers', 'rulesFormat', 'conflict', 'variables']
+
+// The effective configuration: the user config, overridden by the nearest
+// .cursortemplatesrc (JSON) from `cwd` up. Both look like
+//
+//   {
+//     "registries": [
+//       { "url": "https://templates.acme.dev/index.json", "scopes": ["@acme/*"], "token": "${ACME_TEMPLATES_TOKEN}" }
+//     ],
+//     "defaults": { "layers": ["testing"], "rulesFormat": "both", "variables": { "auth": "nextauth" } },
+//     "packageManager": "pnpm",
+//     "trustedKeys": { "acme-2026": "MCowBQYDK2VwAyEA..." }
+//   }
+//
+// Registries from CURSOR_TEMPLATES_REGISTRY come first, then the user's,
+// then the project's. Tokens are only ever read from environment variables.
+// `trustedKeys` are the ed25519 public keys whose template signatures are
+// accepted. Only the user config may list them, or give a registry a
+// `token` or `scopes`: a cloned project can't vouch for its own templates,
+// send the user's credentials anywhere, or claim a scope's names.
+// Throws when a config file is not valid.
+export async function loadConfig({ cwd = process.cwd(), userConfigFile = USER_CONFIG_FILE, env = process.env } = {}) {
+  const projectConfigFile = await findProjectConfig(cwd)
+  const project = projectConfigFile ? await readConfigFile(projectConfigFile, env) : null
+  const user = await fs.pathExists(userConfigFile) ? await readConfigFile(userConfigFile, env) : null
+  if (project?.trustedKeys) {
+    throw new Error(`Invalid config ${projectConfigFile}: "trustedKeys" can only be set in ${userConfigFile}`)
+  }
+  project?.registries.forEach((registry, index) => {
+    for (const key of ['tokenVariable', 'scopes']) {
+      if (registry[key]?.length > 0) {
+        const name = key === 'tokenVariable' ? 'token' : key
+        throw new Error(`Invalid config ${projectConfigFile}: registries[${index}].${name} can only be set in ${userConfigFile}`)
+      }
+    }
+  })
+
+  const fromEnv = (env.CURSOR_TEMPLATES_REGISTRY || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(location => ({ url: toRegistryUrl(location), scopes: [] }))
+
+  const registries = []
+  for (const registry of [...fromEnv, ...(user?.registries || []), ...(project?.registries || [])]) {
+    if (!registries.some(entry => entry.url === registry.url)) registries.push(registry)
+  }
+
+  // The project's defaults win; variables are merged name by name
+  const defaults = { ...user?.defaults, ...project?.defaults }
+  if (user?.defaults.variables || project?.defaults.variables) {
+    defaults.variables = { ...user?.defaults.variables, ...project?.defaults.variables }
+  }
+
+  return {
+    files: [project && projectConfigFile, user && userConfigFile].filter(Boolean),
+    registries,
+    defaults,
+    packageManager: project?.packageManager || user?.packageManager,
+    trustedKeys: user?.trustedKeys || {}
+  }
+}
+
+// The registries a template may come from. A name in a registry's scope,
+// e.g. "@acme/service" for "@acme/*", only comes from the registries with
+// that scope, so a public registry can never shadow a private template.
+// Other names come from the registries without scopes.
+export function getRegistriesFor(registries, name) {
+  const scoped = registries.filter(registry => registry.scopes.some(scope => matchesScope(name, scope)))
+  return scoped.length > 0 ? scoped : registries.filter(registry => registry.scopes.length === 0)
+}
+
+// The scope of a template name: "@acme/service" -> "@acme"
+export function getScope(name) {
+  return name.match(/^(@[^/]+)\//)?.[1] || null
+}
+
+function matchesScope(name, scope) {
+  const pattern = scope.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+  return new RegExp(`^${pattern}$`).test(name)
+}
+
+async function findProjectConfig(cwd) {
+  let dir = path.resolve(cwd)
+  while (true) {
+    const file = path.join(dir, PROJECT_CONFIG_FILE)
+    if (await fs.pathExists(file)) return file
+
+    const parent = path.dirname(dir)
+    if (parent === dir) return null
+    dir = parent
+  }
+}
+
+async function readConfigFile(file, env) {
+  let config
+  try {
+    config = await fs.readJson(file)
+  } catch (error) {
+    throw new Error(`Invalid config ${file}: ${error.message}`)
+  }
+  const fail = message => { throw new Error(`Invalid config ${file}: ${message}`) }
+
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) fail('expected a JSON object')
+  if (config.registries !== undefined && !Array.isArray(config.registries)) fail('"registries" must be a list')
+  if (config.packageManager !== undefined && !PACKAGE_MANAGERS.includes(config.packageManager)) {
+    fail(`"packageManager" must be one of: ${PACKAGE_MANAGERS.join(', ')}`)
+  }
+  const unknown = Object.keys(config.defaults || {}).filter(key => !DEFAULT_OPTIONS.includes(key))
+  if (unknown.length > 0) fail(`unknown defaults: ${unknown.join(', ')} (use ${DEFAULT_OPTIONS.join(', ')})`)
+
+  if (config.trustedKeys !== undefined && (typeof config.trustedKeys !== 'object' || Array.isArray(config.trustedKeys))) {
+    fail('"trustedKeys" must map key ids to public keys')
+  }
+  for (const [keyId, key] of Object.entries(config.trustedKeys || {})) {
+    try {
+      parsePublicKey(String(key))
+    } catch (error) {
+      fail(`trustedKeys.${keyId} is not an ed25519 public key (${error.message})`)
+    }
+  }
+
+  const registries = (config.registries || []).map((registry, index) => {
+    if (typeof registry?.url !== 'string') fail(`registries[${index}] needs a "url"`)
+    if (registry.token !== undefined && !/^\$\{[A-Za-z_][A-Za-z0-9_]*\}$/.test(registry.token)) {
+      fail(`registries[${index}].token must name an environment variable, e.g. "\${ACME_TOKEN}"`)
+    }
+
+    const tokenVariable = registry.token?.slice(2, -1)
+    return {
+      url: toRegistryUrl(registry.url, path.dirname(file)),
+      scopes: [].concat(registry.scopes || []),
+      ...(tokenVariable && { tokenVariable, token: env[tokenVariable] || undefined })
+    }
+  })
+
+  return { registries, defaults: config.defaults || {}, packageManager: config.packageManager, trustedKeys: config.trustedKeys }
+}
@@ -0,0 +1,120 @@
+import fs from 'fs-extra'
+import { readDependencies, hasDependency } from './manifests.js'
+
+// Config files and manifests in the project root that point at a stack
+const FILE_SIGNALS = [
+  { pattern: /^angular\.json$/, tags: ['angular', 'typescript'], confidence: 0.95 },
+  { pattern: /^astro\.config\.(js|mjs|cjs|ts|mts)$/, tags: ['astro'], confidence: 0.95 },
+  { pattern: /^nuxt\.config\.(js|mjs|ts)$/, tags: ['nuxt', 'vue'], confidence: 0.95 },
+  { pattern: /^next\.config\.(js|mjs|cjs|ts)$/, tags: ['nextjs', 'react'], confidence: 0.95 },
+  { pattern: /^svelte\.config\.(js|mjs|ts)$/, tags: ['svelte'], confidence: 0.9 },
+  { pattern: /^remix\.config\.(js|mjs|cjs)$/, tags: ['remix', 'react'], confidence: 0.9 },
+  { pattern: /^vite\.config\.(js|mjs|cjs|ts|mts)$/, tags: ['vite'], confidence: 0.9 },
+  { pattern: /^tailwind\.config\.(js|mjs|cjs|ts)$/, tags: ['tailwind'], confidence: 0.9 },
+  { pattern: /^tsconfig\.json$/, tags: ['typescript'], confidence: 0.9 },
+  { pattern: /^electron-builder\.(json|ya?ml)$/, tags: ['electron', 'desktop'], confidence: 0.9 },
+  { pattern: /^manage\.py$/, tags: ['django', 'python'], confidence: 0.9 },
+  { pattern: /^(pyproject\.toml|requirements\.txt|setup\.py|Pipfile)$/, tags: ['python'], confidence: 0.9 },
+  { pattern: /^pubspec\.yaml$/, tags: ['dart'], confidence: 0.9 },
+  { pattern: /^package\.json$/, tags: ['node'], confidence: 0.5 },
+  { pattern: /^prisma$/, tags: ['prisma'], confidence: 0.6 }
+]
+
+// Declared dependencies, by ecosystem (see manifests.js)
+const DEPENDENCY_SIGNALS = [
+  { ecosystem: 'npm', packages: ['next'], tags: ['nextjs', 'react'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['react'], tags: ['react'], confidence: 0.8 },
+  { ecosystem: 'npm', packages: ['react-native'], tags: ['react-native', 'mobile'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['expo'], tags: ['expo', 'react-native', 'mobile'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['@remix-run/'], tags: ['remix', 'react'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['electron'], tags: ['electron', 'desktop'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['vue'], tags: ['vue'], confidence: 0.8 },
+  { ecosystem: 'npm', packages: ['nuxt'], tags: ['nuxt', 'vue'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['pinia'], tags: ['pinia'], confidence: 0.8 },
+  { ecosystem: 'npm', packages: ['@angular/core'], tags: ['angular'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['@ngrx/store'], tags: ['ngrx'], confidence: 0.8 },
+  { ecosystem: 'npm', packages: ['rxjs'], tags: ['rxjs'], confidence: 0.6 },
+  { ecosystem: 'npm', packages: ['svelte'], tags: ['svelte'], confidence: 0.8 },
+  { ecosystem: 'npm', packages: ['@sveltejs/kit'], tags: ['sveltekit', 'svelte'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['astro'], tags: ['astro'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['@astrojs/mdx'], tags: ['mdx'], confidence: 0.8 },
+  { ecosystem: 'npm', packages: ['express'], tags: ['express', 'node'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['vite'], tags: ['vite'], confidence: 0.8 },
+  { ecosystem: 'npm', packages: ['typescript'], tags: ['typescript'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['tailwindcss'], tags: ['tailwind'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['@trpc/server'], tags: ['trpc'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['prisma', '@prisma/client'], tags: ['prisma'], confidence: 0.9 },
+  { ecosystem: 'npm', packages: ['next-auth'], tags: ['nextauth'], confidence: 0.9 },
+  { ecosystem: 'python', packages: ['fastapi'], tags: ['fastapi'], confidence: 0.9 },
+  { ecosystem: 'python', packages: ['django'], tags: ['django'], confidence: 0.9 },
+  { ecosystem: 'python', packages: ['djangorestframework'], tags: ['rest-api'], confidence: 0.8 },
+  { ecosystem: 'dart', packages: ['flutter'], tags: ['flutter', 'mobile'], confidence: 0.95 },
+  { ecosystem: 'dart', packages: ['riverpod', 'flutter_riverpod', 'hooks_riverpod'], tags: ['riverpod'], confidence: 0.9 }
+]
+
+// Tags detection can find. A template tag outside this set (e.g. "ssr")
+// says nothing about whether the template fits.
+const DETECTABLE_TAGS = new Set([...FILE_SIGNALS, ...DEPENDENCY_SIGNALS].flatMap(signal => signal.tags))
+
+// Inspect a directory's config files and manifests. Returns the detected
+// tags, most certain first, each with a confidence between 0 and 1 and the
+// evidence it is based on. Independent signals for the same tag add up.
+export async function detectStack(projectPath) {
+  const found = new Map()
+  const add = (tags, confidence, source) => {
+    for (const tag of tags) {
+      const entry = found.get(tag) || { tag, confidence: 0, sources: [] }
+      entry.confidence = 1 - (1 - entry.confidence) * (1 - confidence)
+      entry.sources.push(source)
+      found.set(tag, entry)
+    }
+  }
+
+  const entries = await fs.pathExists(projectPath) ? await fs.readdir(projectPath) : []
+  for (const signal of FILE_SIGNALS) {
+    for (const entry of entries.filter(name => signal.pattern.test(name))) {
+      add(signal.tags, signal.confidence, entry)
+    }
+  }
+
+  const dependencies = await readDependencies(projectPath)
+  for (const signal of DEPENDENCY_SIGNALS) {
+    const manifest = dependencies[signal.ecosystem]
+    if (manifest && hasDependency(manifest.names, signal.packages)) {
+      add(signal.tags, signal.confidence, `${signal.packages[0]} in ${manifest.files.join(' / ')}`)
+    }
+  }
+
+  return [...found.values()]
+    .map(entry => ({ ...entry, confidence: Math.round(entry.confidence * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence || a.tag.localeCompare(b.tag))
+}
+
+// Score templates against detected tags: the harmonic mean of how much of
+// the template the project has and how much of the detected stack the
+// template covers. A template asking for a stack the project doesn't have
+// (e.g. Prisma) ranks below one that fits exactly, and one covering more of
+// the project ranks above a generic one. Templates without any detected tag
+// are left out.
+export function rankTemplates(templates, detected) {
+  const confidences = new Map(detected.map(entry => [entry.tag, entry.confidence]))
+  const detectedTotal = detected.reduce((sum, entry) => sum + entry.confidence, 0)
+
+  return templates
+    .map(template => {
+      const tags = [...new Set((template.tags || []).map(tag => tag.toLowerCase()))]
+      const matched = tags.filter(tag => confidences.has(tag))
+      const missing = tags.filter(tag => DETECTABLE_TAGS.has(tag) && !confidences.has(tag))
+      const total = matched.reduce((sum, tag) => sum + confidences.get(tag), 0)
+      const precision = matched.length > 0 ? total / (matched.length + missing.length) : 0
+      const recall = detectedTotal > 0 ? total / detectedTotal : 0
+      const confidence = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0
+      return { template, confidence: Math.round(confidence * 100) / 100, matched }
+    })
+    .filter(result => result.matched.length > 0)
+    .sort((a, b) => b.confidence - a.confidence || b.matched.length - a.matched.length)
+}
+
+export function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`
+}
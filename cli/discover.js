@@ -1,273 +1,270 @@
 import chalk from 'chalk'
-import inquirer from 'inquirer'
 import ora from 'ora'
-import fs from 'fs-extra'
 import path from 'path'
-import { fileURLToPath } from 'url'
+import {
+  fetchRepository,
+  buildTemplateFromRepository,
+  getRepositoryName,
+  saveTemplate,
+  readSignatures,
+  recordChecksum
+} from './importer.js'
+import { detectStack, rankTemplates, formatConfidence } from './detect.js'
+import { rankSearchResults } from './search.js'
+import { TemplateRepository } from './repository.js'
+import { USER_CONFIG_FILE } from './config.js'
 
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
-
-const TEMPLATES_DIR = path.join(__dirname, '..', 'templates')
-const REGISTRY_FILE = path.join(__dirname, '..', 'registry.json')
+const NO_REGISTRIES = `No registries configured. Add them to ${USER_CONFIG_FILE} or .cursortemplatesrc, or set CURSOR_TEMPLATES_REGISTRY.`
 
 export class TemplateDiscovery {
-  constructor() {
-    this.registry = null
-  }
-
-  async loadRegistry() {
-    if (await fs.pathExists(REGISTRY_FILE)) {
-      this.registry = await fs.readJson(REGISTRY_FILE)
-    } else {
-      this.registry = {
-        templates: [],
-        categories: {
-          frontend: ['react', 'vue', 'angular', 'nextjs', 'svelte'],
-          backend: ['express', 'fastapi', 'django', 'rails', 'spring'],
-          fullstack: ['nextjs', 't3-stack', 'remix', 'nuxt'],
-          mobile: ['react-native', 'flutter', 'ionic'],
-          desktop: ['electron', 'tauri'],
-          testing: ['jest', 'pytest', 'cypress', 'playwright'],
-          devops: ['docker', 'kubernetes', 'terraform', 'ansible']
-        },
-        featured: [],
-        trending: []
-      }
-      await this.saveRegistry()
-    }
-  }
-
-  async saveRegistry() {
-    await fs.writeJson(REGISTRY_FILE, this.registry, { spaces: 2 })
+  constructor(repository = new TemplateRepository()) {
+    this.repository = repository
   }
 
+  // Templates matching the query, best first, each with its score and the
+  // fields that matched (see search.js)
   async searchTemplates(query, options = {}) {
-    const templates = await this.getAllTemplates()
-    const searchTerm = query.toLowerCase()
-    
-    let results = templates.filter(template => {
-      const nameMatch = template.name.toLowerCase().includes(searchTerm)
-      const descMatch = template.description.toLowerCase().includes(searchTerm)
-      const tagMatch = template.tags?.some(tag => 
-        tag.toLowerCase().includes(searchTerm)
-      )
-      
-      return nameMatch || descMatch || tagMatch
-    })
+    let templates = await this.repository.getTemplates()
     
     // Filter by category if specified
     if (options.category) {
-      const categoryTags = this.registry.categories[options.category] || []
-      results = results.filter(template =>
-        template.tags?.some(tag => categoryTags.includes(tag.toLowerCase()))
-      )
-    }
-    
-    // Sort by relevance
-    results.sort((a, b) => {
-      const aNameMatch = a.name.toLowerCase() === searchTerm ? 10 : 0
-      const bNameMatch = b.name.toLowerCase() === searchTerm ? 10 : 0
-      return bNameMatch - aNameMatch
-    })
-    
-    return results
-  }
-
-  async getAllTemplates() {
-    const templates = []
-    const dirs = await fs.readdir(TEMPLATES_DIR)
-    
-    for (const dir of dirs) {
-      const templatePath = path.join(TEMPLATES_DIR, dir, 'template.json')
-      if (await fs.pathExists(templatePath)) {
-        try {
-          const template = await fs.readJson(templatePath)
-          templates.push({
-            ...template,
-            path: templatePath,
-            directory: dir
-          })
-        } catch (error) {
-          console.warn(chalk.yellow(`Warning: Invalid template in ${dir}`))
-        }
-      }
+      templates = await this.repository.filterByCategory(templates, options.category)
     }
     
-    return templates
-  }
-
-  async getCategories() {
-    return Object.keys(this.registry.categories)
+    return rankSearchResults(templates, query, await this.repository.getRatings())
   }
 
   async getFeaturedTemplates() {
-    const allTemplates = await this.getAllTemplates()
-    const featured = this.registry.featured || []
-    
-    return allTemplates.filter(t => featured.includes(t.name))
+    return this.repository.getFeaturedTemplates()
   }
 
   async getTrendingTemplates() {
-    const allTemplates = await this.getAllTemplates()
-    const trending = this.registry.trending || []
-    
-    return allTemplates.filter(t => trending.includes(t.name))
+    return this.repository.getTrendingTemplates()
   }
 
-  async addToRegistry(template) {
-    if (!this.registry.templates.find(t => t.name === template.name)) {
-      this.registry.templates.push({
-        name: template.name,
-        description: template.description,
-        version: template.version,
-        author: template.author,
-        tags: template.tags,
-        addedAt: new Date().toISOString()
-      })
-      await this.saveRegistry()
-    }
-  }
-
-  async importFromGitHub(repoUrl) {
-    const spinner = ora('Fetching template from GitHub...').start()
+  // Import a template from any git repository (GitHub URL, file:// URL or
+  // local path). The repository's template.json is used, or one is built from
+  // its .cursorrules and .cursor/rules. The template is pinned to the fetched
+  // commit and validated before it is added to the templates directory, with
+  // its checksum and any signatures from the repository's template.sig.
+  async importFromGitHub(repoUrl, options = {}) {
+    const spinner = ora(`Fetching ${repoUrl}...`).start()
+    let checkout
     
     try {
-      // Parse GitHub URL
-      const match = repoUrl.match(/github\.com\/([^\/]+)\/([^\/]+)/)
-      if (!match) {
-        throw new Error('Invalid GitHub URL')
-      }
-      
-      const [, owner, repo] = match
-      const templateName = repo.replace(/-template$/, '')
-      
-      // Here you would implement actual GitHub fetching
-      // For now, we'll create a placeholder
-      const template = {
-        name: templateName,
-        description: `Template from ${owner}/${repo}`,
-        version: '1.0.0',
-        author: owner,
-        tags: ['external', 'github'],
-        source: repoUrl,
-        rules: {
-          context: 'Imported from GitHub',
-          style: {},
-          restrictions: [],
-          preferences: []
-        }
-      }
+      const [url, hashRef] = repoUrl.split('#')
+      const ref = options.ref || hashRef
+      checkout = await fetchRepository(url, { ref })
       
-      const templateDir = path.join(TEMPLATES_DIR, templateName)
-      await fs.ensureDir(templateDir)
-      await fs.writeJson(
-        path.join(templateDir, 'template.json'),
-        template,
-        { spaces: 2 }
-      )
+      spinner.text = 'Building template...'
+      const root = path.join(checkout.dir, options.path || '')
+      const template = await buildTemplateFromRepository(root, {
+        name: options.name,
+        defaultName: options.path ? path.basename(options.path) : getRepositoryName(url),
+        source: url
+      })
+      const signatures = await readSignatures(root, template)
+      template.source = { type: 'git', url, ...(ref && { ref }), commit: checkout.commit, ...(signatures && { signatures }) }
       
-      await this.addToRegistry(template)
+      const templatePath = await saveTemplate(this.repository.templatesDir, template, {
+        force: options.force,
+        templates: await this.repository.getRawTemplates()
+      })
+      // Changes made after import are caught against this record before the template runs anything
+      const checksum = await recordChecksum(templatePath)
+      await this.repository.recordImport(template.name, { ...template.source, checksum })
+      this.repository.invalidate()
       
-      spinner.succeed(chalk.green(`Template "${templateName}" imported successfully!`))
+      spinner.succeed(chalk.green(`Template "${template.name}" imported from ${url} at ${checkout.commit.slice(0, 7)}`))
+      if (!signatures) {
+        console.log(chalk.yellow('  The template is not signed: init will refuse it without --allow-unsigned'))
+      }
       return template
       
     } catch (error) {
       spinner.fail(chalk.red(`Failed to import: ${error.message}`))
       throw error
+    } finally {
+      await checkout?.cleanup()
     }
   }
 
+  // Templates that fit the stack detected in `context.projectPath` (default:
+  // the working directory), best match first, topped up with featured
+  // templates. Each entry has the template, its confidence and matched tags.
   async recommendTemplates(context = {}) {
-    const templates = await this.getAllTemplates()
-    const recommendations = []
+    const templates = await this.repository.getTemplates()
+    const detected = context.detected || await detectStack(context.projectPath || process.cwd())
+    const recommendations = rankTemplates(templates, detected)
     
-    // Recommend based on recent usage (would need usage tracking)
-    // For now, return featured templates
     const featured = await this.getFeaturedTemplates()
-    recommendations.push(...featured)
-    
-    // Recommend based on tags similarity
-    if (context.currentTags) {
-      const related = templates.filter(t =>
-        t.tags?.some(tag => context.currentTags.includes(tag))
-      )
-      recommendations.push(...related)
+    for (const template of featured) {
+      if (!recommendations.some(result => result.template.name === template.name)) {
+        recommendations.push({ template, confidence: 0, matched: [] })
+      }
     }
     
-    // Remove duplicates
-    const unique = Array.from(
-      new Map(recommendations.map(t => [t.name, t])).values()
-    )
-    
-    return unique.slice(0, 5)
+    return recommendations.slice(0, 5)
   }
 }
 
-export async function discoverCommand(program) {
-  const discovery = new TemplateDiscovery()
-  await discovery.loadRegistry()
+// Register the discovery commands: search, featured, trending, import,
+// recommend and registry
+export function discoverCommand(program, repository = new TemplateRepository()) {
+  const discovery = new TemplateDiscovery(repository)
   
   program
     .command('search <query>')
     .description('Search for templates')
     .option('-c, --category <category>', 'Filter by category')
     .action(async (query, options) => {
-      const results = await discovery.searchTemplates(query, options)
-      
-      if (results.length === 0) {
-        console.log(chalk.yellow('No templates found matching your search'))
-        return
-      }
-      
-      console.log(chalk.cyan(`\n🔍 Found ${results.length} template(s):\n`))
-      
-      results.forEach(template => {
-        console.log(chalk.bold(`  ${template.name}`))
-        console.log(`    ${template.description}`)
-        if (template.tags?.length > 0) {
-          console.log(chalk.gray(`    Tags: ${template.tags.join(', ')}`))
+      try {
+        const results = await discovery.searchTemplates(query, options)
+        const ratings = await repository.getRatings()
+        
+        if (results.length === 0) {
+          console.log(chalk.yellow(`No templates found for "${query}"`))
+          return
         }
-        console.log()
-      })
+        
+        console.log(chalk.cyan(`\n🔍 Search results for "${query}":\n`))
+        
+        results.forEach(({ template, matches }) => {
+          printTemplate(template, ratings)
+          if (template.tags?.length > 0) {
+            console.log(chalk.gray(`    Tags: ${template.tags.join(', ')}`))
+          }
+          console.log(chalk.gray(`    Matched: ${formatMatches(matches)}`))
+          console.log()
+        })
+        
+        console.log(chalk.gray(`Found: ${results.length} template(s)`))
+      } catch (error) {
+        console.error(chalk.red('Error searching templates:'), error.message)
+      }
     })
   
   program
     .command('featured')
     .description('Show featured templates')
     .action(async () => {
-      const templates = await discovery.getFeaturedTemplates()
-      
-      console.log(chalk.cyan('\n⭐ Featured Templates:\n'))
-      
-      if (templates.length === 0) {
-        console.log(chalk.gray('  No featured templates yet'))
-        return
+      try {
+        const templates = await discovery.getFeaturedTemplates()
+        const ratings = await repository.getRatings()
+        
+        console.log(chalk.cyan('\n⭐ Featured Templates:\n'))
+        
+        if (templates.length === 0) {
+          console.log(chalk.gray('  No featured templates yet'))
+          return
+        }
+        
+        templates.forEach(template => {
+          printTemplate(template, ratings)
+          console.log()
+        })
+      } catch (error) {
+        console.error(chalk.red('Error loading featured templates:'), error.message)
+      }
+    })
+  
+  program
+    .command('trending')
+    .description('Show trending templates')
+    .action(async () => {
+      try {
+        const templates = await discovery.getTrendingTemplates()
+        const ratings = await repository.getRatings()
+        
+        console.log(chalk.cyan('\n🔥 Trending Templates:\n'))
+        
+        if (templates.length === 0) {
+          console.log(chalk.gray('  No trending templates yet'))
+          return
+        }
+        
+        templates.forEach(template => {
+          printTemplate(template, ratings)
+          console.log()
+        })
+      } catch (error) {
+        console.error(chalk.red('Error loading trending templates:'), error.message)
       }
-      
-      templates.forEach(template => {
-        console.log(chalk.bold(`  ${template.name}`))
-        console.log(`    ${template.description}`)
-        console.log()
-      })
     })
   
   program
     .command('import <url>')
-    .description('Import a template from GitHub')
-    .action(async (url) => {
+    .description('Import a template from a git repository (URL, file:// URL or local path)')
+    .option('--ref <ref>', 'Branch or tag to import (or append #<ref> to the URL)')
+    .option('--path <dir>', 'Directory inside the repository that holds the template')
+    .option('-n, --name <name>', 'Template name (default: from template.json or the repository)')
+    .option('--force', 'Replace an existing template with the same name')
+    .action(async (url, options) => {
       try {
-        await discovery.importFromGitHub(url)
+        await discovery.importFromGitHub(url, options)
       } catch (error) {
         console.error(chalk.red('Import failed:'), error.message)
+        process.exitCode = 1
+      }
+    })
+  
+  const registry = program
+    .command('registry')
+    .description('Show and refresh the remote template registries from your config')
+  
+  registry
+    .command('list')
+    .description('Show the configured registries and their cached indexes')
+    .action(async () => {
+      if (repository.registries.length === 0) {
+        console.log(chalk.gray(NO_REGISTRIES))
+        return
+      }
+      
+      const { registries } = await repository.getRegistry()
+      console.log(chalk.cyan('\n🌐 Registries:\n'))
+      printRegistries(repository.registries, registries)
+      console.log(chalk.gray(`Cache: ${repository.cacheDir}`))
+    })
+  
+  registry
+    .command('update')
+    .description('Fetch the registry indexes now')
+    .action(async () => {
+      if (repository.registries.length === 0) {
+        console.log(chalk.gray(NO_REGISTRIES))
+        return
+      }
+      
+      const spinner = ora('Fetching registry indexes...').start()
+      try {
+        const { registries, templates } = await repository.updateRegistry()
+        const failed = registries.filter(entry => entry.error)
+        if (failed.length > 0) {
+          spinner.warn(chalk.yellow(`Updated ${registries.length - failed.length} of ${registries.length} registries`))
+          process.exitCode = 1
+        } else {
+          spinner.succeed(chalk.green(`Updated ${registries.length} registr${registries.length === 1 ? 'y' : 'ies'}: ${templates.length} template(s)`))
+        }
+        console.log()
+        printRegistries(repository.registries, registries)
+      } catch (error) {
+        spinner.fail(chalk.red(`Failed to update registries: ${error.message}`))
+        process.exitCode = 1
       }
     })
   
   program
     .command('recommend')
-    .description('Get template recommendations')
+    .description('Recommend templates for the stack detected in the current directory')
     .action(async () => {
-      const recommendations = await discovery.recommendTemplates()
+      const detected = await detectStack(process.cwd())
+      const recommendations = await discovery.recommendTemplates({ detected })
+      
+      if (detected.length > 0) {
+        console.log(chalk.cyan('\n🔎 Detected stack:'))
+        console.log(`  ${detected.map(entry => `${entry.tag} ${chalk.gray(formatConfidence(entry.confidence))}`).join(', ')}`)
+      }
       
       console.log(chalk.cyan('\n💡 Recommended Templates:\n'))
       
@@ -276,10 +273,53 @@ export async function discoverCommand(program) {
         return
       }
       
-      recommendations.forEach(template => {
-        console.log(chalk.bold(`  ${template.name}`))
+      recommendations.forEach(({ template, confidence, matched }) => {
+        const match = confidence > 0 ? chalk.green(` (${formatConfidence(confidence)} match)`) : chalk.gray(' (featured)')
+        console.log(chalk.bold(`  ${template.name}`) + match)
         console.log(`    ${template.description}`)
+        if (matched.length > 0) {
+          console.log(chalk.gray(`    Matches: ${matched.join(', ')}`))
+        }
         console.log()
       })
     })
+}
+
+function printTemplate(template, ratings) {
+  const rating = ratings.templates[template.name]
+  const ratingText = rating ? chalk.yellow(`★${rating.rating} (${rating.votes})`) : ''
+  
+  console.log(chalk.bold(`  ${template.name}`) + chalk.gray(` (v${template.version})`) + ` ${ratingText}`)
+  console.log(`    ${template.description}`)
+}
+
+// Configured registries with the state of their cached index
+function printRegistries(configured, cached) {
+  configured.forEach(({ url, scopes, tokenVariable, token }) => {
+    const { updatedAt, templates, error } = cached.find(entry => entry.url === url) || {}
+    
+    console.log(chalk.bold(`  ${url}`))
+    if (scopes.length > 0) {
+      console.log(`    Scopes: ${scopes.join(', ')}`)
+    }
+    if (tokenVariable) {
+      console.log(`    Token: $${tokenVariable} ${token ? chalk.green('(set)') : chalk.yellow('(not set)')}`)
+    }
+    if (updatedAt) {
+      console.log(`    ${templates} template(s), updated ${updatedAt.replace('T', ' ').slice(0, 16)}`)
+    } else {
+      console.log(chalk.gray('    Not fetched yet'))
+    }
+    if (error) {
+      console.log(chalk.red(`    ${error}`))
+    }
+    console.log()
+  })
+}
+
+// name "nextjs" (≈ nxtjs), tags "vue"
+function formatMatches(matches) {
+  return matches
+    .map(({ term, field, match, type }) => `${field} "${match}"${type === 'fuzzy' ? ` (≈ ${term})` : ''}`)
+    .join(', ')
 }
\ No newline at end of file
@@ -0,0 +1,217 @@
+import fs from 'fs-extra'
+import path from 'path'
+import { CURSOR_RULES_PATH, CURSOR_RULES_DIR } from './rules.js'
+import { hashContent, hashTemplate, LOCK_FILE } from './project.js'
+import { readDependencies, hasDependency } from './manifests.js'
+import { isBinaryFile, writeFileTree } from './files.js'
+import { isNewer } from './repository.js'
+
+export const ISSUE_LEVELS = ['error', 'warning', 'info']
+
+// Tools the rules can ask for, and the packages that mean the project uses
+// them. Only the affirmative parts of the rules are checked (context, stack,
+// conventions, preferences), so "Avoid X" never counts as asking for X.
+const RULE_DEPENDENCIES = [
+  { name: 'Next.js', pattern: /\bnext\.?js\b/i, ecosystem: 'npm', packages: ['next'] },
+  { name: 'Remix', pattern: /\bremix\b/i, ecosystem: 'npm', packages: ['@remix-run/'] },
+  { name: 'SvelteKit', pattern: /\bsveltekit\b/i, ecosystem: 'npm', packages: ['@sveltejs/kit'] },
+  { name: 'Nuxt', pattern: /\bnuxt\b/i, ecosystem: 'npm', packages: ['nuxt'] },
+  { name: 'Astro', pattern: /\bastro\b/i, ecosystem: 'npm', packages: ['astro'] },
+  { name: 'Angular', pattern: /\bangular\b/i, ecosystem: 'npm', packages: ['@angular/core'] },
+  { name: 'Electron', pattern: /\belectron\b(?!-)/i, ecosystem: 'npm', packages: ['electron'] },
+  { name: 'Express', pattern: /\bexpress(\.js| router)\b/i, ecosystem: 'npm', packages: ['express'] },
+  { name: 'Expo', pattern: /\bexpo\b(?!-)/i, ecosystem: 'npm', packages: ['expo'] },
+  { name: 'Tailwind CSS', pattern: /\btailwind\b/i, ecosystem: 'npm', packages: ['tailwindcss'] },
+  { name: 'tRPC', pattern: /\btrpc\b/i, ecosystem: 'npm', packages: ['@trpc/'] },
+  { name: 'Prisma', pattern: /\bprisma\b/i, ecosystem: 'npm', packages: ['prisma', '@prisma/client'] },
+  { name: 'NextAuth', pattern: /\bnextauth\b/i, ecosystem: 'npm', packages: ['next-auth', '@auth/core'] },
+  { name: 'Zod', pattern: /\bzod\b/i, ecosystem: 'npm', packages: ['zod'] },
+  { name: 'Pinia', pattern: /\bpinia\b/i, ecosystem: 'npm', packages: ['pinia'] },
+  { name: 'Vue Router', pattern: /\bvue router\b/i, ecosystem: 'npm', packages: ['vue-router', 'nuxt'] },
+  { name: 'RxJS', pattern: /\brxjs\b/i, ecosystem: 'npm', packages: ['rxjs'] },
+  { name: 'React Navigation', pattern: /\breact navigation\b/i, ecosystem: 'npm', packages: ['@react-navigation/'] },
+  { name: 'Reanimated', pattern: /\breanimated\b/i, ecosystem: 'npm', packages: ['react-native-reanimated'] },
+  { name: 'Expo Router', pattern: /\bexpo-router\b/i, ecosystem: 'npm', packages: ['expo-router'] },
+  { name: 'electron-builder', pattern: /\belectron-builder\b/i, ecosystem: 'npm', packages: ['electron-builder'] },
+  { name: 'Vitest', pattern: /\bvitest\b/i, ecosystem: 'npm', packages: ['vitest'] },
+  { name: 'Testing Library', pattern: /\btesting library\b/i, ecosystem: 'npm', packages: ['@testing-library/'] },
+  { name: 'FastAPI', pattern: /\bfastapi\b/i, ecosystem: 'python', packages: ['fastapi'] },
+  { name: 'Pydantic', pattern: /\bpydantic\b/i, ecosystem: 'python', packages: ['pydantic', 'fastapi'] },
+  { name: 'SQLAlchemy', pattern: /\bsqlalchemy\b/i, ecosystem: 'python', packages: ['sqlalchemy', 'sqlmodel'] },
+  { name: 'Django', pattern: /\bdjango\b/i, ecosystem: 'python', packages: ['django'] },
+  { name: 'Django REST Framework', pattern: /\b(drf|django rest framework)\b/i, ecosystem: 'python', packages: ['djangorestframework'] },
+  { name: 'Riverpod', pattern: /\briverpod\b/i, ecosystem: 'dart', packages: ['riverpod', 'flutter_riverpod', 'hooks_riverpod'] },
+  { name: 'freezed', pattern: /\bfreezed\b/i, ecosystem: 'dart', packages: ['freezed', 'freezed_annotation'] }
+]
+
+// Check a project against the template recorded in its .cursor-template.json.
+// `template` is the installed template as it is now, with the project's
+// layers and variables applied (null when it no longer exists, or when
+// it could not be fetched: then `fetchError` says why), `source` the same
+// template as published, and `files` what it would install. `lock` is the
+// project's .cursor-template.lock, if any. Issues that can be repaired
+// carry the file to write in `fix`.
+export async function diagnoseProject(projectPath, { metadata, template = null, source = null, layers = [], files = [], lock = null, fetchError = null }) {
+  const issues = []
+
+  if (!template && fetchError) {
+    issues.push({
+      level: 'error',
+      check: 'template',
+      message: `Cannot fetch template "${metadata.template}" (${fetchError.message}), so only the metadata and lockfile were checked`,
+      hint: 'Run doctor again once the template can be downloaded'
+    })
+  } else if (!template) {
+    issues.push({
+      level: 'error',
+      check: 'template',
+      message: `Template "${metadata.template}" no longer exists`,
+      hint: 'Switch to another template with: cursor-templates apply --template <name>'
+    })
+  } else if (isNewer(template.version, metadata.version)) {
+    issues.push({
+      level: 'warning',
+      check: 'version',
+      message: `${metadata.template} ${metadata.version} is out of date (latest ${template.version})`,
+      hint: 'Run: cursor-templates update'
+    })
+  }
+
+  for (const installed of metadata.layers || []) {
+    const layer = layers.find(entry => entry.name === installed.name)
+    if (!layer) {
+      issues.push({ level: 'error', check: 'layer', message: `Layer "${installed.name}" no longer exists` })
+    } else if (isNewer(layer.version, installed.version)) {
+      issues.push({
+        level: 'warning',
+        check: 'version',
+        message: `Layer ${layer.name} ${installed.version} is out of date (latest ${layer.version})`,
+        hint: 'Run: cursor-templates update'
+      })
+    }
+  }
+
+  if (source && lock) {
+    issues.push(...checkLock(lock, source))
+  }
+
+  issues.push(...await checkFiles(projectPath, metadata, files))
+
+  if (template) {
+    issues.push(...await checkDependencies(projectPath, template))
+  }
+
+  return issues
+}
+
+// Write the files for fixable issues. Returns the issues that were fixed.
+export async function fixIssues(projectPath, issues) {
+  const fixable = issues.filter(issue => issue.fix)
+  await writeFileTree(projectPath, fixable.map(issue => issue.fix))
+  return fixable
+}
+
+// The locked version should still have the content it was locked with.
+// Only comparable when it comes from the same place: the bundled copy and a
+// registry tarball of one version are packaged differently.
+function checkLock(lock, source) {
+  const locked = lock.template
+  if (!locked || locked.name !== source.name || locked.version !== source.version) return []
+  if (locked.resolved !== (source.dist?.tarball || 'bundled') || locked.hash === hashTemplate(source)) return []
+
+  return [{
+    level: 'warning',
+    check: 'lock',
+    message: `${source.name} ${source.version} has changed since it was locked in ${LOCK_FILE}`,
+    hint: 'Check where the template came from, then run: cursor-templates update --force'
+  }]
+}
+
+// Installed files that are gone, edited since install, or still carry
+// conflict markers from a merge. Installs recorded before file snapshots
+// only have their rules files checked.
+async function checkFiles(projectPath, metadata, files) {
+  const issues = []
+  const installed = metadata.files || Object.fromEntries(
+    files.filter(file => isRulesFile(file.path)).map(file => [file.path, null])
+  )
+
+  for (const [filePath, record] of Object.entries(installed)) {
+    const templateFile = files.find(file => file.path === filePath)
+    const binary = templateFile ? isBinaryFile(templateFile) : record && record.content === undefined
+    const absolutePath = path.join(projectPath, filePath)
+
+    if (!await fs.pathExists(absolutePath)) {
+      const fix = getRestoredFile(filePath, record, templateFile)
+      issues.push({
+        level: isRulesFile(filePath) ? 'error' : 'warning',
+        check: 'missing',
+        message: `${filePath} is missing`,
+        hint: fix ? undefined : `Reinstall it with: cursor-templates apply --template ${metadata.template} --conflict skip`,
+        fix
+      })
+      continue
+    }
+
+    const content = await fs.readFile(absolutePath, binary ? 'base64' : 'utf8')
+    if (!binary && /^<{7} .*\n[\s\S]*^>{7} /m.test(content)) {
+      issues.push({ level: 'error', check: 'conflict', message: `${filePath} has unresolved merge conflict markers` })
+    } else if (record && hashContent(content) !== record.hash) {
+      issues.push({ level: 'info', check: 'modified', message: `${filePath} was changed since it was installed` })
+    }
+  }
+
+  return issues
+}
+
+// What was installed, preferring the recorded snapshot. Binary files only
+// have a hash recorded, so they come back from the template if unchanged.
+function getRestoredFile(filePath, record, templateFile) {
+  const mode = templateFile?.mode ? { mode: templateFile.mode } : {}
+
+  if (record?.content !== undefined) {
+    return { path: filePath, content: record.content, ...mode }
+  }
+  if (templateFile && (!record || hashContent(templateFile.content) === record.hash)) {
+    return templateFile
+  }
+  return undefined
+}
+
+// Rules that ask for a tool the project's manifests don't list. Ecosystems
+// without a manifest are skipped: the project may not be scaffolded yet.
+async function checkDependencies(projectPath, template) {
+  const dependencies = await readDependencies(projectPath)
+  const text = getAffirmativeRules(template).join('\n')
+  const issues = []
+
+  for (const rule of RULE_DEPENDENCIES) {
+    const manifest = dependencies[rule.ecosystem]
+    if (!manifest || !rule.pattern.test(text) || hasDependency(manifest.names, rule.packages)) continue
+
+    const packages = rule.packages.filter(name => !name.endsWith('/'))
+    issues.push({
+      level: 'warning',
+      check: 'dependency',
+      message: `Rules mention ${rule.name} but ${manifest.files.join(' / ')} doesn't list ${packages[0] || `${rule.packages[0]}*`}`,
+      hint: `Add ${rule.name} to the project or drop the rules that ask for it`
+    })
+  }
+
+  return issues
+}
+
+function getAffirmativeRules(template) {
+  const rules = [template.rules, ...(template.ruleSets || []).map(ruleSet => ruleSet.rules)].filter(Boolean)
+
+  return rules.flatMap(({ context, style = {}, preferences = [] }) => [
+    context,
+    style.framework,
+    ...(style.conventions || []),
+    ...preferences
+  ]).filter(Boolean).map(entry => typeof entry === 'string' ? entry : entry.text)
+}
+
+function isRulesFile(filePath) {
+  return filePath === CURSOR_RULES_PATH || filePath.startsWith(`${CURSOR_RULES_DIR}/`)
+}
@@ -0,0 +1,132 @@
+import fs from 'fs-extra'
+import path from 'path'
+import { validateTemplateFile, validateLayerFile, formatSchemaError } from './schema.js'
+
+// A template's starter files can live as real files in a `files/` directory
+// next to template.json instead of as JSON strings in `files[].content`.
+// Text files are rendered like inline files; binary files are carried as
+// base64 and copied untouched. Executable files keep their mode.
+export const FILES_DIR = 'files'
+
+// Never packaged, on top of the template's own `ignore` patterns
+const DEFAULT_IGNORE = ['.DS_Store', 'Thumbs.db', '.git', 'node_modules']
+
+// Read template.json and attach the files from its `files/` directory.
+// Inline `files` entries win over tree files with the same path. Throws
+// when template.json doesn't match the schema.
+export async function loadTemplate(templateDir) {
+  const templatePath = path.join(templateDir, 'template.json')
+  const { template, errors } = await validateTemplateFile(templatePath)
+  if (errors.length > 0) {
+    throw new Error(`Invalid template:\n${errors.map(error => `  ${formatSchemaError(error, templatePath)}`).join('\n')}`)
+  }
+  const treeFiles = await readFileTree(path.join(templateDir, FILES_DIR), template.ignore)
+
+  if (treeFiles.length === 0) return template
+
+  const inline = template.files || []
+  const files = treeFiles.filter(file => !inline.some(entry => entry.path === file.path))
+  return { ...template, files: [...files, ...inline] }
+}
+
+// Read a layer.json. Throws when it doesn't match the layer schema.
+export async function loadLayer(layerPath) {
+  const { layer, errors } = await validateLayerFile(layerPath)
+  if (errors.length > 0) {
+    throw new Error(`Invalid layer:\n${errors.map(error => `  ${formatSchemaError(error, layerPath)}`).join('\n')}`)
+  }
+  return layer
+}
+
+export async function readFileTree(root, ignore = []) {
+  if (!await fs.pathExists(root)) return []
+
+  const patterns = [...DEFAULT_IGNORE, ...ignore].map(toPattern)
+  const files = []
+
+  async function walk(relative) {
+    const entries = await fs.readdir(path.join(root, relative), { withFileTypes: true })
+    entries.sort((a, b) => a.name.localeCompare(b.name))
+
+    for (const entry of entries) {
+      const entryPath = path.posix.join(relative, entry.name)
+      if (patterns.some(pattern => pattern.test(entryPath))) continue
+
+      if (entry.isDirectory()) {
+        await walk(entryPath)
+      } else if (entry.isFile()) {
+        files.push(await readFileEntry(root, entryPath))
+      }
+    }
+  }
+
+  await walk('')
+  return files
+}
+
+// A file entry as stored in a template: text as a string, anything else
+// as base64 with `encoding`, plus `mode` for executables
+export async function readFileEntry(root, relativePath) {
+  const filePath = path.join(root, relativePath)
+  const [buffer, stat] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)])
+  const entry = isBinary(buffer)
+    ? { path: relativePath, content: buffer.toString('base64'), encoding: 'base64' }
+    : { path: relativePath, content: buffer.toString('utf8') }
+
+  if (stat.mode & 0o111) entry.mode = '755'
+  return entry
+}
+
+// Write file entries out as a `files/` tree, the reverse of readFileTree
+export async function writeFileTree(root, files) {
+  files.forEach(file => resolveFilePath(root, file.path))
+  for (const file of files) {
+    const filePath = resolveFilePath(root, file.path)
+    await fs.ensureDir(path.dirname(filePath))
+    await fs.writeFile(filePath, toBuffer(file))
+    if (file.mode) await fs.chmod(filePath, parseInt(file.mode, 8))
+  }
+}
+
+// File paths come from templates, possibly downloaded, and from variables,
+// so they must stay inside the directory they are written to. `label` and
+// `within` name the path and directory in the error; with `allowRoot` the
+// directory itself is accepted too.
+export function resolveFilePath(root, relativePath, { label = 'File path', within = 'the project', allowRoot = false } = {}) {
+  const base = path.resolve(root)
+  const resolved = path.resolve(base, relativePath)
+  const inside = resolved.startsWith(base + path.sep) || (allowRoot && resolved === base)
+  if (path.isAbsolute(relativePath) || !inside) {
+    throw new Error(`${label} "${relativePath}" is outside ${within}`)
+  }
+  return resolved
+}
+
+export function isBinaryFile(file) {
+  return file.encoding === 'base64'
+}
+
+export function toBuffer(file) {
+  return Buffer.from(file.content, isBinaryFile(file) ? 'base64' : 'utf8')
+}
+
+function isBinary(buffer) {
+  return buffer.includes(0) || buffer.toString('utf8').includes('\uFFFD')
+}
+
+// Gitignore-style globs: `*` and `?` stay within a path segment, `**` spans
+// segments, and patterns without a slash match at any depth
+function toPattern(glob) {
+  const trimmed = glob.replace(/\/+$/, '').replace(/\/\*\*$/, '')
+  const source = trimmed
+    .replace(/^\//, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\0')
+    .replace(/\*\*/g, '\x01')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\0/g, '(?:.*/)?')
+    .replace(/\x01/g, '.*')
+  const prefix = trimmed.includes('/') ? '' : '(?:.*/)?'
+  return new RegExp(`^${prefix}${source}(?:/.*)?$`)
+}
@@ -0,0 +1,92 @@
+import fs from 'fs-extra'
+import { evaluateCondition } from './conditions.js'
+import { renderString } from './variables.js'
+import { prepareCommand, runCommand } from './runner.js'
+import { resolveFilePath } from './files.js'
+
+// Templates can run steps around init and update, declared in template.json:
+//
+//   "hooks": {
+//     "postInit": [
+//       { "name": "Install dependencies", "run": "npm install" },
+//       { "run": "npx prisma generate", "when": "prisma" },
+//       { "run": "git init", "continueOnError": true }
+//     ],
+//     "preUpdate": [],
+//     "postUpdate": [{ "run": "npm install", "cwd": "apps/web" }]
+//   }
+//
+// postInit runs in the new project once its files are written. preUpdate
+// runs before update migrates and merges anything, postUpdate after. Steps
+// run in order, in `cwd` (relative to the project); `run` and `cwd` can use
+// {{variables}} and `when` is a condition over them. A failing step stops
+// the hook unless it sets `continueOnError`.
+export const HOOKS = ['postInit', 'preUpdate', 'postUpdate']
+
+// The steps of a hook as they will run for `variables`: commands rendered and
+// rewritten for the package manager, with `skip` set when `when` fails
+export function getHookSteps(template, hook, variables = {}) {
+  return (template.hooks?.[hook] || []).map(step => {
+    const command = prepareCommand(renderString(step.run, variables), { packageManager: variables.packageManager })
+    return {
+      name: step.name || command.display,
+      command,
+      cwd: renderString(step.cwd || '.', variables),
+      continueOnError: Boolean(step.continueOnError),
+      skip: evaluateCondition(step.when, variables) ? null : `${step.when} is false`
+    }
+  })
+}
+
+// One line describing a hook step, shown before it runs
+export function describeHookStep(step) {
+  const label = step.name === step.command.display ? '' : `${step.name}: `
+  const notes = [
+    step.cwd !== '.' && `in ${step.cwd}`,
+    step.continueOnError && 'continues on error',
+    step.command.warning
+  ].filter(Boolean)
+  return `${label}$ ${step.command.display}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`
+}
+
+// Run a hook's steps in the project. Returns one result per step
+// ({ step, action, reason?, output? }, action being ran, failed or skipped)
+// and `ok`, which is false when a step without continueOnError failed.
+// `onStep` is called before each step runs. Ctrl-C stops the hook and
+// rejects with `cancelled` set, like the command runner.
+export async function runHook(projectPath, steps, { verbose = false, timeout, onStep } = {}) {
+  const results = []
+  let stoppedBy = null
+
+  for (const step of steps) {
+    if (step.skip) {
+      results.push({ step, action: 'skipped', reason: step.skip })
+      continue
+    }
+    if (stoppedBy) {
+      results.push({ step, action: 'skipped', reason: `"${stoppedBy}" failed` })
+      continue
+    }
+
+    onStep?.(step)
+    try {
+      await runCommand(step.command, { cwd: await resolveHookDir(projectPath, step.cwd), verbose, timeout })
+      results.push({ step, action: 'ran' })
+    } catch (error) {
+      if (error.cancelled) throw error
+      results.push({ step, action: 'failed', reason: error.message, output: error.output })
+      if (!step.continueOnError) stoppedBy = step.name
+    }
+  }
+
+  return { results, ok: !stoppedBy }
+}
+
+// Steps run in the project or a directory inside it
+async function resolveHookDir(projectPath, cwd) {
+  const resolved = resolveFilePath(projectPath, cwd, { label: 'Hook directory', allowRoot: true })
+  if (!await fs.pathExists(resolved)) {
+    throw new Error(`Hook directory "${cwd}" does not exist`)
+  }
+  return resolved
+}
@@ -0,0 +1,290 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+import { CURSOR_RULES_PATH, CURSOR_RULES_DIR } from './rules.js'
+import { FILES_DIR, loadTemplate, readFileEntry, writeFileTree } from './files.js'
+import { getTemplateChecksum, SIGNATURE_FILE } from './trust.js'
+import { validateTemplate } from './validate.js'
+
+const execFileAsync = promisify(execFile)
+
+// Never offered as starter files by `create --from`
+const IGNORED_ENTRIES = new Set([
+  '.git', 'node_modules', 'dist', 'build', 'out', 'coverage', '.next', '.nuxt',
+  '.svelte-kit', '.astro', '.turbo', '.cache', '__pycache__', '.venv', 'venv',
+  '.dart_tool', 'target', 'package-lock.json', 'pnpm-lock.yaml', 'yarn.lock',
+  'bun.lockb', '.DS_Store', '.cursor-template.json'
+])
+const MAX_STARTER_FILE_SIZE = 64 * 1024
+
+// package.json scripts that map onto the command names templates use
+const SCRIPT_COMMANDS = { serve: 'dev' }
+
+// Clone a git repository into a temporary directory. Works with any URL git
+// understands, including file:// URLs and local paths. `ref` may be a branch
+// or tag. Returns the checkout and the commit it resolved to; call `cleanup`
+// when done with it.
+export async function fetchRepository(url, { ref } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cursor-templates-'))
+  const cleanup = () => fs.remove(dir)
+
+  try {
+    const args = ['clone', '--depth', '1', '--quiet']
+    if (ref) args.push('--branch', ref)
+    await execFileAsync('git', [...args, '--', url, dir])
+
+    const { stdout } = await execFileAsync('git', ['rev-parse', 'HEAD'], { cwd: dir })
+    return { dir, commit: stdout.trim(), cleanup }
+  } catch (error) {
+    await cleanup()
+    const reason = error.code === 'ENOENT' ? 'git is not installed' : (error.stderr || error.message).trim()
+    throw new Error(`Could not fetch ${url}: ${reason}`)
+  }
+}
+
+// Guess a template name from a repository URL or path,
+// e.g. https://github.com/acme/nextjs-template.git -> nextjs
+export function getRepositoryName(url) {
+  const base = url.replace(/[#?].*$/, '').replace(/\/+$/, '').split(/[/:]/).pop()
+  return toTemplateName(base.replace(/\.git$/, '').replace(/-template$/, ''))
+}
+
+export function toTemplateName(value) {
+  return value.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '')
+}
+
+// Read a project's Cursor rules: .cursorrules becomes the template's `rules`
+// and each .cursor/rules/*.mdc file a rule set, keeping the Markdown as-is
+// in `appendix` so the generated files match the originals.
+export async function readCursorRules(dir) {
+  const result = { rules: null, ruleSets: [] }
+
+  const rulesPath = path.join(dir, CURSOR_RULES_PATH)
+  if (await fs.pathExists(rulesPath)) {
+    result.rules = parseRulesDocument(await fs.readFile(rulesPath, 'utf8'))
+  }
+
+  const rulesDir = path.join(dir, CURSOR_RULES_DIR)
+  if (await fs.pathExists(rulesDir)) {
+    const entries = (await fs.readdir(rulesDir)).filter(entry => entry.endsWith('.mdc')).sort()
+    for (const entry of entries) {
+      const { frontmatter, body } = parseFrontmatter(await fs.readFile(path.join(rulesDir, entry), 'utf8'))
+      const ruleSet = {
+        name: toTemplateName(path.basename(entry, '.mdc')),
+        description: frontmatter.description || undefined,
+        globs: parseGlobs(frontmatter.globs),
+        alwaysApply: frontmatter.alwaysApply === 'true',
+        rules: parseRulesDocument(body)
+      }
+      if (!ruleSet.description) delete ruleSet.description
+      result.ruleSets.push(ruleSet)
+    }
+  }
+
+  return result
+}
+
+// Build a template from a repository checkout: a template.json is used as
+// it is, otherwise one is assembled from the repository's Cursor rules.
+// `name` overrides the template's name; `defaultName` is used when there is
+// no template.json and no package.json name.
+export async function buildTemplateFromRepository(dir, { name, defaultName, source, description } = {}) {
+  const templatePath = path.join(dir, 'template.json')
+  if (await fs.pathExists(templatePath)) {
+    const template = await loadTemplate(dir)
+    return name ? { ...template, name } : template
+  }
+
+  const { rules, ruleSets } = await readCursorRules(dir)
+  if (!rules && ruleSets.length === 0) {
+    throw new Error(`No template.json, ${CURSOR_RULES_PATH} or ${CURSOR_RULES_DIR} found in ${source || dir}`)
+  }
+
+  const pkg = await readPackageJson(dir)
+  const template = {
+    name: name || toTemplateName(pkg?.name?.replace(/^@[^/]+\//, '') || defaultName || path.basename(dir)),
+    description: description || pkg?.description || `Cursor rules imported from ${source || dir}`,
+    version: /^\d+\.\d+\.\d+$/.test(pkg?.version || '') ? pkg.version : '1.0.0',
+    tags: ['imported'],
+    rules: rules || { context: description || pkg?.description || `Rules imported from ${source || dir}` }
+  }
+  if (typeof pkg?.author === 'string') template.author = pkg.author
+  if (ruleSets.length > 0) template.ruleSets = ruleSets
+
+  return template
+}
+
+// Build a template from an existing project: its Cursor rules, its
+// package.json scripts as `commands`, and the chosen starter files
+export async function buildTemplateFromProject(dir, { name, description, files = [] } = {}) {
+  const pkg = await readPackageJson(dir)
+  const { rules, ruleSets } = await readCursorRules(dir)
+  const projectName = pkg?.name?.replace(/^@[^/]+\//, '') || path.basename(path.resolve(dir))
+
+  const template = {
+    name: name || toTemplateName(projectName),
+    description: description || pkg?.description || `Template based on ${projectName}`,
+    version: '1.0.0',
+    tags: [],
+    rules: rules || {
+      context: `You are an expert developer working on projects like ${projectName}.`,
+      style: {},
+      restrictions: [],
+      preferences: []
+    }
+  }
+  if (typeof pkg?.author === 'string') template.author = pkg.author
+  if (ruleSets.length > 0) template.ruleSets = ruleSets
+
+  const commands = getScriptCommands(pkg?.scripts)
+  if (Object.keys(commands).length > 0) template.commands = commands
+
+  if (files.length > 0) {
+    template.files = []
+    for (const file of files) {
+      template.files.push(await readFileEntry(dir, file))
+    }
+  }
+
+  return template
+}
+
+// Files worth offering as starter files, relative to `dir`
+export async function listProjectFiles(dir, relative = '') {
+  const files = []
+
+  for (const entry of (await fs.readdir(path.join(dir, relative), { withFileTypes: true })).sort(byName)) {
+    const entryPath = path.posix.join(relative, entry.name)
+    if (IGNORED_ENTRIES.has(entry.name) || entry.name.startsWith('.env') || entryPath === CURSOR_RULES_PATH) continue
+
+    if (entry.isDirectory()) {
+      if (entryPath !== CURSOR_RULES_DIR) files.push(...await listProjectFiles(dir, entryPath))
+    } else if (entry.isFile() && await isStarterFile(path.join(dir, entryPath))) {
+      files.push(entryPath)
+    }
+  }
+
+  return files
+}
+
+// Validate a template and write it to `templatesDir/<name>/`. Plain files
+// go into its files/ directory; entries with a `when` condition stay inline.
+// `templates` are the existing raw templates, used to resolve `extends`.
+export async function saveTemplate(templatesDir, template, { force = false, templates = [] } = {}) {
+  if (!/^[a-zA-Z0-9._-]+$/.test(template.name || '')) {
+    throw new Error(`Invalid template name "${template.name}"`)
+  }
+
+  const templateDir = path.join(templatesDir, template.name)
+  if (await fs.pathExists(templateDir) && !force) {
+    throw new Error(`Template "${template.name}" already exists. Use --force to replace it or --name to pick another name`)
+  }
+
+  // Validate a staged copy so an invalid template never reaches the templates directory
+  const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cursor-templates-'))
+  try {
+    const stagedPath = path.join(stagingDir, 'template.json')
+    const treeFiles = (template.files || []).filter(file => !file.when)
+    const inlineFiles = (template.files || []).filter(file => file.when)
+    const { files, ...rest } = template
+    await fs.writeJson(stagedPath, inlineFiles.length > 0 ? { ...rest, files: inlineFiles } : rest, { spaces: 2 })
+    await writeFileTree(path.join(stagingDir, FILES_DIR), treeFiles)
+
+    const { errors } = await validateTemplate(stagedPath, template.name, templates)
+    if (errors.length > 0) {
+      throw new Error(`Template is invalid:\n${errors.map(error => `  • ${error}`).join('\n')}`)
+    }
+
+    await fs.emptyDir(templateDir)
+    await fs.copy(stagingDir, templateDir)
+    return path.join(templateDir, 'template.json')
+  } finally {
+    await fs.remove(stagingDir)
+  }
+}
+
+// The publisher's signatures for a template, from the template.sig written
+// by `cursor-templates sign`, or null. Signatures for another name or
+// version than `template` would never verify, so they are left out.
+export async function readSignatures(dir, template) {
+  const file = path.join(dir, SIGNATURE_FILE)
+  if (!await fs.pathExists(file)) return null
+
+  const signed = await fs.readJson(file)
+  if (signed.name !== template.name || signed.version !== template.version) return null
+  return Array.isArray(signed.signatures) ? signed.signatures : null
+}
+
+// Record the checksum of a saved template in its `source`, for reference.
+// The copy that is trusted is the import record (see TemplateRepository).
+export async function recordChecksum(templatePath) {
+  const template = await fs.readJson(templatePath)
+  template.source.checksum = getTemplateChecksum(await loadTemplate(path.dirname(templatePath)))
+  await fs.writeJson(templatePath, template, { spaces: 2 })
+  return template.source.checksum
+}
+
+export async function readPackageJson(dir) {
+  try {
+    return await fs.readJson(path.join(dir, 'package.json'))
+  } catch (error) {
+    return null
+  }
+}
+
+// Scripts are run through the packageManager variable, so the template works
+// with whichever package manager the user picks
+function getScriptCommands(scripts = {}) {
+  const commands = {}
+  for (const name of Object.keys(scripts)) {
+    const key = SCRIPT_COMMANDS[name] || name
+    if (!/^[a-zA-Z0-9:_-]+$/.test(name) || commands[key]) continue
+    commands[key] = ['start', 'test'].includes(name)
+      ? `{{packageManager}} ${name}`
+      : `{{packageManager}} run ${name}`
+  }
+  return commands
+}
+
+async function isStarterFile(filePath) {
+  const { size } = await fs.stat(filePath)
+  return size > 0 && size <= MAX_STARTER_FILE_SIZE
+}
+
+function byName(a, b) {
+  return a.name.localeCompare(b.name)
+}
+
+// A leading "# Title" becomes the title; the rest is kept verbatim
+function parseRulesDocument(text) {
+  const match = text.match(/^\s*#\s+(.+)\n?([\s\S]*)$/)
+  const rules = match ? { title: match[1].trim() } : {}
+  const appendix = (match ? match[2] : text).trim()
+  if (appendix) rules.appendix = appendix
+  return rules
+}
+
+function parseFrontmatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/)
+  if (!match) return { frontmatter: {}, body: text }
+
+  const frontmatter = {}
+  for (const line of match[1].split(/\r?\n/)) {
+    const index = line.indexOf(':')
+    if (index > 0) {
+      frontmatter[line.slice(0, index).trim()] = line.slice(index + 1).trim()
+    }
+  }
+  return { frontmatter, body: match[2] }
+}
+
+// Cursor writes globs as "a/**, b/**"; YAML lists are accepted too
+function parseGlobs(value = '') {
+  return value
+    .replace(/^\[|\]$/g, '')
+    .split(',')
+    .map(glob => glob.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean)
+}
@@ -1,24 +1,53 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander'
+import { Command, InvalidArgumentError } from 'commander'
 import chalk from 'chalk'
 import inquirer from 'inquirer'
 import ora from 'ora'
 import fs from 'fs-extra'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { exec } from 'child_process'
-import { promisify } from 'util'
 import semver from 'semver'
+import { createTwoFilesPatch } from 'diff'
 import { Analytics } from '../scripts/analytics.js'
+import { getTemplateFiles, hasHandWrittenRules, RULES_FORMATS, CURSOR_RULES_PATH } from './rules.js'
+import {
+  detectProject,
+  writeTemplateFiles,
+  updateTemplateFiles,
+  recordInstalledFiles,
+  getKeptFiles,
+  writeLockfile,
+  readLockfile,
+  CONFLICT_STRATEGIES,
+  METADATA_FILE
+} from './project.js'
+import { collectVar, resolveVariables, renderFiles, renderCommands, PACKAGE_MANAGERS } from './variables.js'
+import { applyTemplateConditions } from './conditions.js'
+import { applyLayers } from './inheritance.js'
+import { buildTemplateFromProject, listProjectFiles, saveTemplate, toTemplateName } from './importer.js'
+import { diagnoseProject, fixIssues, ISSUE_LEVELS } from './doctor.js'
+import { detectStack, rankTemplates, formatConfidence } from './detect.js'
+import { TemplateRepository, TEMPLATES_DIR, parseTemplateSpec, isNewer } from './repository.js'
+import { loadConfig, USER_CONFIG_FILE } from './config.js'
+import { discoverCommand } from './discover.js'
+import { getChangelog, getMigrations, runMigrations, describeMigration } from './migrations.js'
+import { getTemplateChecksum, signTemplate, SIGNATURE_FILE } from './trust.js'
+import { loadTemplate } from './files.js'
+import { validateTemplate } from './validate.js'
+import { prepareCommand, runCommand, DEFAULT_TIMEOUT } from './runner.js'
+import { getHookSteps, describeHookStep, runHook } from './hooks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
-const execAsync = promisify(exec)
 const analytics = new Analytics()
 
 const program = new Command()
-const TEMPLATES_DIR = path.join(__dirname, '..', 'templates')
+const config = await loadConfig().catch(error => {
+  console.error(chalk.red(error.message))
+  process.exit(1)
+})
+const repository = new TemplateRepository({ registries: config.registries, trustedKeys: config.trustedKeys })
 
 // Global error handler
 process.on('unhandledRejection', (reason, promise) => {
@@ -97,16 +126,16 @@ program
 program
   .command('list')
   .description('List all available templates')
-  .option('-c, --category <category>', 'Filter by category (frontend, backend, mobile, desktop, fullstack)')
+  .option('-c, --category <category>', 'Filter by category, or category/subcategory (see categories)')
   .option('-t, --tag <tag>', 'Filter by tag')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
     try {
-      let templates = await getTemplates()
+      let templates = await repository.getTemplates()
       
       // Apply category filter
       if (options.category) {
-        templates = filterByCategory(templates, options.category)
+        templates = await repository.filterByCategory(templates, options.category)
       }
       
       // Apply tag filter
@@ -132,7 +161,7 @@ program
       console.log(chalk.cyan(`\n📦 Available Templates${categoryTitle}:\n`))
       
       // Group by category for better display
-      const grouped = groupTemplatesByCategory(templates)
+      const grouped = await repository.groupByCategory(templates)
       
       for (const [category, categoryTemplates] of Object.entries(grouped)) {
         if (Object.keys(grouped).length > 1) {
@@ -156,125 +185,74 @@ program
   })
 
 program
-  .command('categories')
-  .description('List all available categories')
-  .action(async () => {
-    try {
-      const templates = await getTemplates()
-      const categories = getCategories(templates)
-      
-      console.log(chalk.cyan('\n📂 Template Categories:\n'))
-      
-      for (const [category, count] of Object.entries(categories)) {
-        console.log(`  ${chalk.bold(category)}: ${count} template(s)`)
-      }
-    } catch (error) {
-      console.error(chalk.red('Error listing categories:'), error.message)
-    }
-  })
-
-program
-  .command('search <query>')
-  .description('Search for templates')
-  .option('-c, --category <category>', 'Filter by category')
-  .action(async (query, options) => {
+  .command('layers')
+  .description('List rule layers that can be stacked on a template with --layer')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
     try {
-      let templates = await getTemplates()
-      const ratings = await getRatings()
+      const layers = await repository.getLayers()
       
-      // Apply category filter first
-      if (options.category) {
-        templates = filterByCategory(templates, options.category)
+      if (options.json) {
+        console.log(JSON.stringify(layers, null, 2))
+        return
       }
       
-      // Search in name, description, and tags
-      const searchTerm = query.toLowerCase()
-      const results = templates.filter(template => {
-        const nameMatch = template.name.toLowerCase().includes(searchTerm)
-        const descMatch = template.description.toLowerCase().includes(searchTerm)
-        const tagMatch = template.tags?.some(tag => 
-          tag.toLowerCase().includes(searchTerm)
-        )
-        return nameMatch || descMatch || tagMatch
-      })
-      
-      if (results.length === 0) {
-        console.log(chalk.yellow(`No templates found for "${query}"`))
+      if (layers.length === 0) {
+        console.log(chalk.yellow('No layers found'))
         return
       }
       
-      console.log(chalk.cyan(`\n🔍 Search results for "${query}":\n`))
+      console.log(chalk.cyan('\n🧩 Available Layers:\n'))
       
-      results.forEach(template => {
-        const rating = ratings.templates[template.name]
-        const ratingText = rating ? chalk.yellow(`★${rating.rating} (${rating.votes})`) : ''
-        
-        console.log(chalk.bold(`  ${template.name}`) + chalk.gray(` (v${template.version})`) + ` ${ratingText}`)
-        console.log(`    ${template.description}`)
-        if (template.tags?.length > 0) {
-          console.log(chalk.gray(`    Tags: ${template.tags.join(', ')}`))
-        }
+      layers.forEach(layer => {
+        console.log(chalk.bold(`  ${layer.name}`) + chalk.gray(` (v${layer.version})`))
+        console.log(`    ${layer.description}`)
         console.log()
       })
       
-      console.log(chalk.gray(`Found: ${results.length} template(s)`))
+      console.log(chalk.gray(`Use: cursor-templates init --template <name> --layer ${layers[0].name}`))
     } catch (error) {
-      console.error(chalk.red('Error searching templates:'), error.message)
+      console.error(chalk.red('Error listing layers:'), error.message)
     }
   })
 
 program
-  .command('featured')
-  .description('Show featured templates')
+  .command('categories')
+  .description('List all available categories')
   .action(async () => {
     try {
-      const templates = await getTemplates()
-      const ratings = await getRatings()
+      const templates = await repository.getTemplates()
+      const { categories } = await repository.getCategories()
       
-      console.log(chalk.cyan('\n⭐ Featured Templates:\n'))
+      console.log(chalk.cyan('\n📂 Template Categories:\n'))
       
-      for (const templateName of ratings.featured) {
-        const template = templates.find(t => t.name === templateName)
-        if (template) {
-          const rating = ratings.templates[templateName]
-          const ratingText = rating ? chalk.yellow(`★${rating.rating} (${rating.votes})`) : ''
-          
-          console.log(chalk.bold(`  ${template.name}`) + chalk.gray(` (v${template.version})`) + ` ${ratingText}`)
-          console.log(`    ${template.description}`)
-          console.log()
+      for (const [key, category] of Object.entries(categories)) {
+        const categoryTemplates = templates.filter(template => template.category === key)
+        console.log(`  ${chalk.bold(key)}: ${category.label}, ${categoryTemplates.length} template(s)`)
+        if (category.description) {
+          console.log(chalk.gray(`    ${category.description}`))
+        }
+        
+        const subcategories = {}
+        categoryTemplates.forEach(template => (template.subcategories || []).forEach(subcategory => {
+          subcategories[subcategory] = (subcategories[subcategory] || 0) + 1
+        }))
+        if (Object.keys(subcategories).length > 0) {
+          console.log(chalk.gray(`    ${Object.entries(subcategories).map(([name, count]) => `${key}/${name} (${count})`).join(', ')}`))
         }
       }
-    } catch (error) {
-      console.error(chalk.red('Error loading featured templates:'), error.message)
-    }
-  })
-
-program
-  .command('trending')
-  .description('Show trending templates')
-  .action(async () => {
-    try {
-      const templates = await getTemplates()
-      const ratings = await getRatings()
       
-      console.log(chalk.cyan('\n🔥 Trending Templates:\n'))
-      
-      for (const templateName of ratings.trending) {
-        const template = templates.find(t => t.name === templateName)
-        if (template) {
-          const rating = ratings.templates[templateName]
-          const ratingText = rating ? chalk.yellow(`★${rating.rating} (${rating.votes})`) : ''
-          
-          console.log(chalk.bold(`  ${template.name}`) + chalk.gray(` (v${template.version})`) + ` ${ratingText}`)
-          console.log(`    ${template.description}`)
-          console.log()
-        }
+      const uncategorized = templates.filter(template => !categories[template.category])
+      if (uncategorized.length > 0) {
+        console.log(`  ${chalk.bold('other')}: ${uncategorized.length} template(s)`)
       }
     } catch (error) {
-      console.error(chalk.red('Error loading trending templates:'), error.message)
+      console.error(chalk.red('Error listing categories:'), error.message)
     }
   })
 
+discoverCommand(program, repository)
+
 program
   .command('rate <template> <rating>')
   .description('Rate a template (1-5 stars)')
@@ -287,14 +265,14 @@ program
         return
       }
       
-      const templates = await getTemplates()
+      const templates = await repository.getTemplates()
       const template = templates.find(t => t.name === templateName)
       if (!template) {
         console.log(chalk.red(`Template "${templateName}" not found`))
         return
       }
       
-      await addRating(templateName, ratingNum, options.comment)
+      await repository.addRating(templateName, ratingNum, options.comment)
       console.log(chalk.green(`✅ Rated ${templateName} with ${ratingNum} star(s)`))
       
     } catch (error) {
@@ -306,45 +284,139 @@ program
   .command('update')
   .description('Update project template files')
   .option('--check', 'Check for available updates without applying them')
+  .option('--latest', 'Update to the latest version, even outside the project\'s version range')
+  .option('--to <range>', 'Move to the newest version matching a range, e.g. to roll back')
   .option('--force', 'Force update even if versions match')
+  .option('--rules-format <format>', `Switch Cursor rules output (${RULES_FORMATS.join(', ')})`)
+  .option('--allow-unsigned', 'Use a registry or imported template without a trusted signature')
+  .option('--dry-run', 'Show the changes an update would make without touching disk')
   .action(async (options) => {
+    let metadata
+    
     try {
       await analytics.trackCommand('update')
       
-      const metadataPath = path.resolve('.cursor-template.json')
+      const metadataPath = path.resolve(METADATA_FILE)
       
       if (!await fs.pathExists(metadataPath)) {
         console.log(chalk.yellow('No template metadata found. This doesn\'t appear to be a template-based project.'))
         return
       }
       
-      const metadata = await fs.readJson(metadataPath)
-      const templates = await getTemplates()
-      const currentTemplate = templates.find(t => t.name === metadata.template)
+      metadata = await fs.readJson(metadataPath)
       
-      if (!currentTemplate) {
+      // Projects installed before ranges were recorded stay on their major version
+      const range = options.to || metadata.range || `^${metadata.version}`
+      if (!semver.validRange(range)) {
+        console.log(chalk.red(`Invalid version range "${range}"`))
+        return
+      }
+      
+      const versions = await repository.getTemplateVersions(metadata.template)
+      if (versions.length === 0) {
         console.log(chalk.red(`Template "${metadata.template}" no longer exists`))
         return
       }
       
-      const hasUpdate = isNewer(currentTemplate.version, metadata.version)
+      const latest = versions[0]
+      const target = options.latest ? latest : versions.find(entry => semver.satisfies(entry.version, range))
+      if (!target) {
+        console.log(chalk.red(`No version of ${metadata.template} matches ${range} (latest is ${latest.version})`))
+        console.log(chalk.gray('Run: cursor-templates update --latest'))
+        return
+      }
+      const currentTemplate = await repository.fetchTemplate(target)
+      
+      // Each layer is tracked on its own, like the template
+      const installedLayers = metadata.layers || []
+      const layers = await repository.selectLayers(installedLayers.map(layer => layer.name))
+      const layerUpdates = layers.filter((layer, index) => isNewer(layer.version, installedLayers[index].version))
+      
+      // Moving back is an update too, when the range no longer allows the installed version
+      const templateUpdate = currentTemplate.version !== metadata.version &&
+        (isNewer(currentTemplate.version, metadata.version) || !semver.satisfies(metadata.version, range))
+      const hasUpdate = templateUpdate || layerUpdates.length > 0
+      
+      // What changed between the installed and target versions, and how to get there.
+      // Migration commands run with the package manager chosen at install time.
+      const runOptions = { packageManager: metadata.variables?.packageManager || config.packageManager, verbose: program.opts().verbose }
+      const changelog = templateUpdate ? getChangelog(currentTemplate, metadata.version, currentTemplate.version) : []
+      const migrations = templateUpdate ? getMigrations(currentTemplate, metadata.version, currentTemplate.version) : []
       
       if (options.check) {
-        if (hasUpdate) {
+        if (templateUpdate) {
           console.log(chalk.cyan(`📦 Update available for ${metadata.template}`))
           console.log(`  Current: ${metadata.version}`)
-          console.log(`  Latest: ${currentTemplate.version}`)
+          console.log(`  ${options.latest ? 'Latest' : `Latest in ${range}`}: ${currentTemplate.version}`)
+          printChangelog(changelog)
+          printMigrationPlan(migrations, runOptions)
         } else {
           console.log(chalk.green(`✅ ${metadata.template} is up to date (${metadata.version})`))
         }
+        if (isNewer(latest.version, currentTemplate.version)) {
+          console.log(chalk.gray(`  ${latest.version} is available outside ${range}. Run: cursor-templates update --latest`))
+        }
+        layerUpdates.forEach(layer => {
+          const installed = installedLayers.find(entry => entry.name === layer.name)
+          console.log(chalk.cyan(`📦 Update available for layer ${layer.name}: ${installed.version} → ${layer.version}`))
+        })
         return
       }
       
-      if (!hasUpdate && !options.force) {
+      const rulesFormat = options.rulesFormat || metadata.rulesFormat || 'legacy'
+      if (!RULES_FORMATS.includes(rulesFormat)) {
+        console.log(chalk.red(`Unknown rules format "${rulesFormat}". Use one of: ${RULES_FORMATS.join(', ')}`))
+        return
+      }
+      
+      const formatChanged = rulesFormat !== (metadata.rulesFormat || 'legacy')
+      if (!hasUpdate && !formatChanged && !options.force) {
         console.log(chalk.green(`✅ Template is already up to date (${metadata.version})`))
         return
       }
       
+      if (!await checkTemplateTrust(currentTemplate, options)) {
+        process.exitCode = 1
+        return
+      }
+      
+      // Re-render with the variables chosen at install time; new ones take their defaults
+      const layeredTemplate = applyLayers(currentTemplate, layers)
+      const variables = await resolveVariables(layeredTemplate, {
+        projectName: metadata.projectName,
+        ...metadata.variables
+      }, { interactive: false })
+      if (options.rulesFormat) warnIgnoredRulesFormat(layeredTemplate, rulesFormat)
+      const templateFiles = buildProjectFiles(layeredTemplate, variables, rulesFormat)
+      const preUpdate = getHookSteps(layeredTemplate, 'preUpdate', variables)
+      const postUpdate = getHookSteps(layeredTemplate, 'postUpdate', variables)
+      
+      printChangelog(changelog)
+      if (semver.lt(currentTemplate.version, metadata.version)) {
+        console.log(chalk.yellow(`\nMoving back from ${metadata.version}: files are merged back, but migrations are not undone.`))
+      }
+      
+      if (options.dryRun) {
+        console.log(chalk.cyan(`\n🔎 Dry run: update ${metadata.template} from ${metadata.version} to ${currentTemplate.version}`))
+        printHookPlan('preUpdate', preUpdate)
+        const migrated = await runMigrations(process.cwd(), migrations, metadata.files, { ...runOptions, dryRun: true })
+        printMigrationResults(migrated.results)
+        const results = await updateTemplateFiles(process.cwd(), templateFiles, migrated.installed, {
+          dryRun: true,
+          pending: migrated.pending,
+          kept: metadata.kept
+        })
+        printHookPlan('postUpdate', postUpdate)
+        console.log()
+        printDryRun(results)
+        return
+      }
+      
+      // Commands run with the user's permissions, so they are shown before asking
+      printHookPlan('preUpdate', preUpdate)
+      printMigrationPlan(migrations, runOptions)
+      printHookPlan('postUpdate', postUpdate)
+      
       const { confirm } = await inquirer.prompt([
         {
           type: 'confirm',
@@ -359,39 +431,45 @@ program
         return
       }
       
+      // A failed preUpdate step stops the update before anything changes
+      if (!(await runTemplateHook('preUpdate', process.cwd(), preUpdate)).ok) {
+        console.log(chalk.yellow('\nUpdate stopped: the preUpdate hook did not finish, so the update was not applied.'))
+        return
+      }
+      
+      // Migrations move the project and its install snapshot to the new layout first
+      let migrated
+      try {
+        migrated = await runMigrations(process.cwd(), migrations, metadata.files, runOptions)
+      } catch (error) {
+        if (!error.cancelled) throw error
+        console.log(chalk.yellow(`\nUpdate cancelled during migrations: ${error.message}. The project may be partly migrated.`))
+        process.exitCode = 130
+        return
+      }
+      
       const spinner = ora('Updating template files...').start()
       
       try {
-        // Update template files
-        if (currentTemplate.files) {
-          for (const file of currentTemplate.files) {
-            const filePath = path.resolve(file.path)
-            
-            // Backup existing file if it exists
-            if (await fs.pathExists(filePath)) {
-              const backupPath = `${filePath}.backup.${Date.now()}`
-              await fs.copy(filePath, backupPath)
-              console.log(chalk.gray(`  Backed up ${file.path} to ${path.basename(backupPath)}`))
-            }
-            
-            await fs.ensureDir(path.dirname(filePath))
-            await fs.writeFile(filePath, file.content)
-          }
-        }
+        // Merge template changes with local edits, using the files recorded at install time as the base
+        const results = await updateTemplateFiles(process.cwd(), templateFiles, migrated.installed, { kept: metadata.kept })
         
         // Update metadata
         metadata.version = currentTemplate.version
+        metadata.range = options.latest ? `^${currentTemplate.version}` : range
+        metadata.layers = recordLayers(layers)
+        metadata.rulesFormat = rulesFormat
         metadata.updatedAt = new Date().toISOString()
+        metadata.variables = variables
+        metadata.files = recordInstalledFiles(templateFiles, results)
         await fs.writeJson(metadataPath, metadata, { spaces: 2 })
+        await writeLockfile(process.cwd(), currentTemplate, layers)
         
         spinner.succeed(chalk.green('Template updated successfully!'))
         
+        printMigrationResults(migrated.results)
         console.log(chalk.cyan('\n📋 What was updated:'))
-        if (currentTemplate.files) {
-          currentTemplate.files.forEach(file => {
-            console.log(`  ${chalk.bold(file.path)}`)
-          })
-        }
+        printFileResults(results)
         
         await analytics.trackCommand('update', metadata.template, true)
         
@@ -400,11 +478,87 @@ program
         throw error
       }
       
+      await runTemplateHook('postUpdate', process.cwd(), postUpdate)
+      
     } catch (error) {
       handleError(error, 'update', { template: metadata?.template })
     }
   })
 
+program
+  .command('doctor')
+  .description('Check the current project against its installed template')
+  .option('--fix', 'Restore missing template files')
+  .option('--json', 'Output the issues as JSON')
+  .action(async (options) => {
+    try {
+      await analytics.trackCommand('doctor')
+      
+      const projectPath = process.cwd()
+      const { metadata } = await detectProject(projectPath)
+      
+      if (!metadata) {
+        console.log(chalk.yellow('No template metadata found. This doesn\'t appear to be a template-based project.'))
+        process.exit(1)
+      }
+      
+      // Compare against the newest version the project's range allows, or
+      // the latest when none does
+      const range = metadata.range || `^${metadata.version}`
+      const availableLayers = await repository.getLayers()
+      let fetchError = null
+      const currentTemplate = await repository.getTemplate(metadata.template, range)
+        .catch(() => repository.getTemplate(metadata.template))
+        .catch(error => {
+          // Offline with nothing cached, say: what can be checked still is
+          fetchError = error
+          return null
+        })
+      const context = { metadata, layers: availableLayers, lock: await readLockfile(projectPath), source: currentTemplate, fetchError }
+      
+      // Render the template the way `update` would, so the checks see what it would install
+      if (currentTemplate) {
+        const layers = (metadata.layers || [])
+          .map(installed => availableLayers.find(layer => layer.name === installed.name))
+          .filter(Boolean)
+        const layeredTemplate = applyLayers(currentTemplate, layers)
+        const variables = await resolveVariables(layeredTemplate, {
+          projectName: metadata.projectName,
+          ...metadata.variables
+        }, { interactive: false })
+        context.template = applyTemplateConditions(layeredTemplate, variables)
+        context.files = buildProjectFiles(layeredTemplate, variables, metadata.rulesFormat || 'legacy')
+      }
+      
+      let issues = await diagnoseProject(projectPath, context)
+      let fixed = []
+      if (options.fix) {
+        fixed = await fixIssues(projectPath, issues)
+        issues = issues.filter(issue => !fixed.includes(issue))
+      }
+      issues.sort((a, b) => ISSUE_LEVELS.indexOf(a.level) - ISSUE_LEVELS.indexOf(b.level))
+      
+      if (options.json) {
+        const withoutFix = ({ fix, ...issue }) => ({ ...issue, fixable: Boolean(fix) })
+        console.log(JSON.stringify({
+          template: metadata.template,
+          version: metadata.version,
+          issues: issues.map(withoutFix),
+          fixed: fixed.map(withoutFix)
+        }, null, 2))
+      } else {
+        printDoctorReport(metadata, issues, fixed)
+      }
+      
+      if (issues.some(issue => issue.level !== 'info')) {
+        process.exit(1)
+      }
+    } catch (error) {
+      handleError(error, 'doctor')
+      process.exit(1)
+    }
+  })
+
 program
   .command('debug')
   .description('Debug and diagnostic commands')
@@ -449,7 +603,20 @@ program
         console.log(`Architecture: ${process.arch}`)
         console.log(`Working Directory: ${process.cwd()}`)
         console.log(`Templates Directory: ${TEMPLATES_DIR}`)
+        console.log(`Cache Directory: ${repository.cacheDir}`)
         console.log(`Script Path: ${__filename}`)
+        
+        // Tokens are shown by variable name only
+        console.log(chalk.cyan('\n⚙️  Configuration:\n'))
+        console.log(`Config Files: ${config.files.join(', ') || 'none'}`)
+        console.log(JSON.stringify({
+          registries: config.registries.map(({ token, tokenVariable, ...registry }) => ({
+            ...registry,
+            ...(tokenVariable && { token: `$${tokenVariable} (${token ? 'set' : 'not set'})` })
+          })),
+          defaults: config.defaults,
+          packageManager: config.packageManager || 'npm'
+        }, null, 2))
       }
       
       if (!options.errors && !options.analytics && !options.clearLogs && !options.systemInfo) {
@@ -473,12 +640,12 @@ program
   .action(async (options) => {
     try {
       const { QualityMetrics } = await import('../scripts/quality-metrics.js')
-      const metrics = new QualityMetrics()
+      const metrics = new QualityMetrics({ repository })
       
       if (options.template) {
-        const templatePath = path.join(TEMPLATES_DIR, options.template, 'template.json')
-        if (await fs.pathExists(templatePath)) {
-          const result = await metrics.analyzeTemplate(templatePath, options.template)
+        const template = (await metrics.getTemplates()).find(entry => entry.name === options.template)
+        if (template) {
+          const result = await metrics.analyzeTemplate(template)
           
           console.log(chalk.cyan(`\n🎯 Quality Analysis: ${result.name}\n`))
           console.log(`Score: ${result.score}/100 (${result.grade})`)
@@ -527,6 +694,47 @@ program
     }
   })
 
+program
+  .command('validate <path>')
+  .description('Validate a template against the schema (template.json, its directory, or a template name)')
+  .action(async (target) => {
+    try {
+      let templatePath = path.resolve(target)
+      if (await fs.pathExists(templatePath)) {
+        if ((await fs.stat(templatePath)).isDirectory()) {
+          templatePath = path.join(templatePath, 'template.json')
+        }
+      } else {
+        templatePath = path.join(TEMPLATES_DIR, target, 'template.json')
+      }
+      
+      if (!await fs.pathExists(templatePath)) {
+        console.error(chalk.red(`No template found at "${target}"`))
+        process.exit(1)
+      }
+      
+      const { errors, warnings } = await validateTemplate(templatePath, target, await repository.getRawTemplates())
+      const file = path.relative(process.cwd(), templatePath)
+      
+      if (errors.length > 0) {
+        console.log(chalk.red(`❌ ${file} is invalid (${errors.length} errors)`))
+        errors.forEach(error => console.log(chalk.red(`  • ${error}`)))
+      } else if (warnings.length > 0) {
+        console.log(chalk.yellow(`⚠️  ${file} is valid with warnings (${warnings.length})`))
+      } else {
+        console.log(chalk.green(`✅ ${file} is valid`))
+      }
+      warnings.forEach(warning => console.log(chalk.yellow(`  • ${warning}`)))
+      
+      if (errors.length > 0) {
+        process.exit(1)
+      }
+    } catch (error) {
+      handleError(error, 'validate')
+      process.exit(1)
+    }
+  })
+
 program
   .command('validate-all')
   .description('Validate all templates')
@@ -540,63 +748,128 @@ program
     }
   })
 
+program
+  .command('sign <path>')
+  .description(`Sign a template directory for publishing, writing ${SIGNATURE_FILE} next to its template.json`)
+  .requiredOption('--key <file>', 'ed25519 private key in PEM format')
+  .requiredOption('--key-id <id>', 'Name users list the public key under in "trustedKeys"')
+  .action(async (target, options) => {
+    try {
+      const templateDir = path.resolve(target)
+      const template = await loadTemplate(templateDir)
+      const checksum = getTemplateChecksum(template)
+      const signature = signTemplate(template, checksum, await fs.readFile(path.resolve(options.key), 'utf8'), options.keyId)
+      
+      // Other keys' signatures still hold while the content is unchanged
+      const signaturePath = path.join(templateDir, SIGNATURE_FILE)
+      const previous = await fs.pathExists(signaturePath) ? await fs.readJson(signaturePath) : null
+      const others = previous?.checksum === checksum
+        ? (previous.signatures || []).filter(entry => entry.keyId !== options.keyId)
+        : []
+      
+      await fs.writeJson(signaturePath, {
+        name: template.name,
+        version: template.version,
+        checksum,
+        signatures: [...others, signature]
+      }, { spaces: 2 })
+      
+      console.log(chalk.green(`✅ Signed ${template.name}@${template.version} as ${options.keyId}`))
+      console.log(chalk.gray(`  ${path.relative(process.cwd(), signaturePath)}: ${checksum}`))
+      console.log(chalk.gray(`  Users trust it by adding the public key (openssl pkey -in ${options.key} -pubout -outform DER | base64) to "trustedKeys"`))
+    } catch (error) {
+      handleError(error, 'sign')
+      process.exit(1)
+    }
+  })
+
 program
   .command('init')
   .description('Initialize a new project with a template')
-  .option('-t, --template <name>', 'Template name')
+  .option('-t, --template <name>', 'Template name, optionally with a version range (name@^1.2.0)')
   .option('-n, --name <name>', 'Project name')
+  .option('-l, --layer <name>', 'Stack a rule layer on the template (repeatable)', collectList, [])
+  .option('--var <key=value>', 'Set a template variable (repeatable)', collectVar, {})
+  .option('--rules-format <format>', `Cursor rules output (${RULES_FORMATS.join(', ')})`, config.defaults.rulesFormat || 'legacy')
+  .option('--pm <manager>', `Package manager to scaffold and run commands with (${PACKAGE_MANAGERS.join(', ')})`)
+  .option('--timeout <seconds>', 'Stop the framework command, or a hook step, after this long', parseSeconds, DEFAULT_TIMEOUT / 1000)
+  .option('--allow-unsigned', 'Install a registry or imported template without a trusted signature')
+  .option('--dry-run', 'Show what would be run and written without touching disk')
   .action(async (options) => {
     try {
-      const templates = await getTemplates()
+      if (!RULES_FORMATS.includes(options.rulesFormat)) {
+        console.error(chalk.red(`Unknown rules format "${options.rulesFormat}". Use one of: ${RULES_FORMATS.join(', ')}`))
+        process.exit(1)
+      }
+      if (options.pm && !PACKAGE_MANAGERS.includes(options.pm)) {
+        console.error(chalk.red(`Unknown package manager "${options.pm}". Use one of: ${PACKAGE_MANAGERS.join(', ')}`))
+        process.exit(1)
+      }
+      
+      const templates = await repository.getTemplates()
+      const layers = await repository.selectLayers(options.layer.length > 0 ? options.layer : config.defaults.layers)
       
       let selectedTemplate
-      let projectName
+      let range
       
       // Get template selection
       if (options.template) {
-        selectedTemplate = templates.find(t => t.name === options.template)
+        const spec = parseTemplateSpec(options.template)
+        range = spec.range
+        selectedTemplate = await repository.findTemplate(spec.name, range)
         if (!selectedTemplate) {
-          console.error(chalk.red(`Template "${options.template}" not found`))
+          console.error(chalk.red(`Template "${spec.name}" not found`))
           process.exit(1)
         }
       } else {
-        const { template } = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'template',
-            message: 'Select a template:',
-            choices: templates.map(t => ({
-              name: `${t.name} - ${t.description}`,
-              value: t
-            }))
-          }
-        ])
-        selectedTemplate = template
+        selectedTemplate = await promptForTemplate(templates, 'Select a template:', await detectStack(process.cwd()))
       }
-      
-      // Get project name
-      if (options.name) {
-        projectName = options.name
-      } else {
-        const { name } = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'name',
-            message: 'Project name:',
-            default: 'my-project',
-            validate: (input) => {
-              if (!input.trim()) return 'Project name is required'
-              if (!/^[a-zA-Z0-9._-]+$/.test(input)) {
-                return 'Project name can only contain letters, numbers, dots, underscores, and hyphens'
-              }
-              return true
-            }
-          }
-        ])
-        projectName = name
+      selectedTemplate = await repository.fetchTemplate(selectedTemplate)
+      if (!await checkTemplateTrust(selectedTemplate, options)) {
+        process.exit(1)
       }
       
+      const layeredTemplate = applyLayers(selectedTemplate, layers)
+      
+      // Get the project name and template variables from flags or prompts
+      const variables = await resolveVariables(layeredTemplate, {
+        ...getDefaultVariables(),
+        ...options.var,
+        ...(options.pm && { packageManager: options.pm }),
+        ...(options.name && { projectName: options.name })
+      })
+      const projectName = variables.projectName
       const projectPath = path.resolve(projectName)
+      warnIgnoredRulesFormat(layeredTemplate, options.rulesFormat)
+      const templateFiles = buildProjectFiles(layeredTemplate, variables, options.rulesFormat)
+      
+      // Commands are shown and run as the chosen package manager spells them.
+      // Older templates scaffold into "." instead of using {{projectName}}.
+      const rendered = renderCommands(selectedTemplate.commands, variables)
+      if (rendered.install) {
+        rendered.install = rendered.install.replace(/\s\.\s/, ` ${projectName} `)
+      }
+      const prepared = Object.fromEntries(Object.entries(rendered)
+        .map(([key, command]) => [key, prepareCommand(command, { packageManager: variables.packageManager })]))
+      const commands = Object.fromEntries(Object.entries(prepared).map(([key, command]) => [key, command.display]))
+      const install = prepared.install
+      const installCommand = install?.display
+      const postInit = getHookSteps(layeredTemplate, 'postInit', variables)
+      
+      if (options.dryRun) {
+        console.log(chalk.cyan(`\n🔎 Dry run: ${selectedTemplate.name} project in ${projectPath}\n`))
+        if (layers.length > 0) {
+          console.log(`Layers: ${layers.map(layer => layer.name).join(', ')}`)
+        }
+        console.log(`Framework command: ${installCommand || chalk.gray('none (directory only)')}`)
+        printCommandWarning(install)
+        printHookPlan('postInit', postInit)
+        console.log()
+        
+        const results = await writeTemplateFiles(projectPath, templateFiles, { dryRun: true })
+        printDryRun(results)
+        return
+      }
       
       // Check if directory already exists
       if (await fs.pathExists(projectPath)) {
@@ -615,53 +888,85 @@ program
         }
       }
       
+      // Commands run with the user's permissions, so show exactly what they are first
+      const hookSteps = postInit.filter(step => !step.skip)
+      const commandCount = (installCommand ? 1 : 0) + hookSteps.length
+      if (commandCount > 0) {
+        console.log(chalk.cyan('\n⚙️  This template runs:'))
+        if (installCommand) {
+          console.log(`  $ ${installCommand}`)
+          printCommandWarning(install)
+        }
+        hookSteps.forEach(step => console.log(`  ${describeHookStep(step)}`))
+      }
+      const { runInstall } = commandCount > 0
+        ? await inquirer.prompt([{ type: 'confirm', name: 'runInstall', message: commandCount === 1 ? 'Run this command?' : 'Run these commands?', default: true }])
+        : { runInstall: false }
+      
       console.log(chalk.cyan(`\n🚀 Creating ${selectedTemplate.name} project: ${projectName}\n`))
       
       // Step 1: Create the framework project
       const spinner = ora('Creating project with framework CLI...').start()
+      let scaffolded = false
       
       try {
-        if (selectedTemplate.commands?.install) {
-          // Replace . with projectName in the install command
-          const installCommand = selectedTemplate.commands.install.replace(/\s\.\s/, ` ${projectName} `)
-          
-          spinner.text = `Running: ${installCommand}`
+        if (installCommand && runInstall) {
+          // With --verbose the framework CLI's own output and prompts take over the terminal
+          const { verbose } = program.opts()
+          if (verbose) {
+            spinner.stop()
+            console.log(chalk.gray(`$ ${installCommand}`))
+          } else {
+            spinner.text = `Running: ${installCommand}`
+          }
           
-          // Execute the framework's create command
-          await execAsync(installCommand, { stdio: 'pipe' })
+          await runCommand(install, { verbose, timeout: options.timeout * 1000 })
           spinner.succeed(chalk.green('Framework project created successfully!'))
+          scaffolded = true
         } else {
           // Fallback: just create directory
           await fs.ensureDir(projectPath)
           spinner.succeed(chalk.green('Project directory created!'))
+          scaffolded = !installCommand
+          if (installCommand) {
+            console.log(chalk.yellow(`Skipped the framework command. You can run it yourself: ${installCommand}`))
+          }
         }
       } catch (error) {
+        if (error.cancelled) {
+          spinner.fail(chalk.yellow('Cancelled'))
+          process.exitCode = 130
+          return
+        }
         spinner.fail(chalk.red('Failed to create framework project'))
         console.error(chalk.red('Error:'), error.message)
-        console.log(chalk.yellow(`\nYou can manually run: ${selectedTemplate.commands?.install || 'create project manually'}`))
+        if (error.output) {
+          console.error(chalk.gray(error.output))
+        }
+        console.log(chalk.yellow(`\nYou can manually run: ${installCommand || 'create project manually'}`))
       }
       
       // Step 2: Add template files
       const templateSpinner = ora('Adding Cursor template files...').start()
       
       try {
-        // Copy template files
-        if (selectedTemplate.files) {
-          for (const file of selectedTemplate.files) {
-            const filePath = path.join(projectPath, file.path)
-            await fs.ensureDir(path.dirname(filePath))
-            await fs.writeFile(filePath, file.content)
-          }
-        }
+        // Copy template files, rendering .cursorrules from the structured rules
+        await writeTemplateFiles(projectPath, templateFiles)
         
-        // Write template metadata
-        const metadataPath = path.join(projectPath, '.cursor-template.json')
+        // Write template metadata, keeping the installed files as the base for future merges
+        const metadataPath = path.join(projectPath, METADATA_FILE)
         await fs.writeJson(metadataPath, {
           template: selectedTemplate.name,
           version: selectedTemplate.version,
+          range: range || `^${selectedTemplate.version}`,
           installedAt: new Date().toISOString(),
-          projectName: projectName
+          projectName: projectName,
+          layers: recordLayers(layers),
+          rulesFormat: options.rulesFormat,
+          variables,
+          files: recordInstalledFiles(templateFiles)
         }, { spaces: 2 })
+        await writeLockfile(projectPath, selectedTemplate, layers)
         
         templateSpinner.succeed(chalk.green('Template files added successfully!'))
       } catch (error) {
@@ -669,185 +974,556 @@ program
         console.error(chalk.red('Error:'), error.message)
       }
       
+      // Step 3: Finish setting up the project, once it has its framework and files
+      if (runInstall && postInit.length > 0) {
+        if (!scaffolded) {
+          console.log(chalk.yellow('\nSkipped the postInit hook because the framework project was not created'))
+        } else if ((await runTemplateHook('postInit', projectPath, postInit, { timeout: options.timeout * 1000 })).cancelled) {
+          return
+        }
+      }
+      
       // Display next steps
       console.log(chalk.cyan('\n📋 Available commands:'))
-      if (selectedTemplate.commands) {
-        Object.entries(selectedTemplate.commands).forEach(([key, value]) => {
-          if (key !== 'install') { // Skip install since we already ran it
-            console.log(`  ${chalk.bold(key)}: ${value}`)
-          }
-        })
-      }
+      Object.entries(commands).forEach(([key, value]) => {
+        if (key !== 'install') { // Skip install since we already ran it
+          console.log(`  ${chalk.bold(key)}: ${value}`)
+        }
+      })
       
       console.log(chalk.yellow('\n🚀 Next steps:'))
       console.log(`  1. cd ${projectName}`)
       console.log(`  2. Open in Cursor IDE`)
-      if (selectedTemplate.commands?.dev) {
-        console.log(`  3. Run: ${selectedTemplate.commands.dev}`)
+      if (commands.dev) {
+        console.log(`  3. Run: ${commands.dev}`)
       }
       console.log(chalk.green(`\n✨ Your ${selectedTemplate.name} project is ready!`))
       
     } catch (error) {
       console.error(chalk.red('Error initializing project:'), error.message)
+      process.exitCode = 1
     }
   })
 
-async function getTemplates() {
-  const templateDirs = await fs.readdir(TEMPLATES_DIR)
-  const templates = []
-  
-  for (const dir of templateDirs) {
-    const templatePath = path.join(TEMPLATES_DIR, dir, 'template.json')
-    if (await fs.pathExists(templatePath)) {
-      try {
-        const template = await fs.readJson(templatePath)
-        templates.push(template)
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not load template from ${dir}`))
+program
+  .command('apply [template]')
+  .alias('install')
+  .description('Add a template\'s Cursor rules and files to the current project, optionally at a version range (name@^1.2.0)')
+  .option('-t, --template <name>', 'Template name, optionally with a version range')
+  .option('-l, --layer <name>', 'Stack a rule layer on the template (repeatable)', collectList, [])
+  .option('--conflict <strategy>', `How to handle existing files (${CONFLICT_STRATEGIES.join(', ')})`, config.defaults.conflict || 'prompt')
+  .option('--var <key=value>', 'Set a template variable (repeatable)', collectVar, {})
+  .option('--rules-format <format>', `Cursor rules output (${RULES_FORMATS.join(', ')})`, config.defaults.rulesFormat || 'legacy')
+  .option('--allow-unsigned', 'Apply a registry or imported template without a trusted signature')
+  .option('--force', 'Replace the metadata of another template already applied to this project')
+  .option('--dry-run', 'Show the files that would be written without touching disk')
+  .action(async (templateSpec, options) => {
+    try {
+      if (!CONFLICT_STRATEGIES.includes(options.conflict)) {
+        console.error(chalk.red(`Unknown conflict strategy "${options.conflict}". Use one of: ${CONFLICT_STRATEGIES.join(', ')}`))
+        process.exit(1)
+      }
+      if (!RULES_FORMATS.includes(options.rulesFormat)) {
+        console.error(chalk.red(`Unknown rules format "${options.rulesFormat}". Use one of: ${RULES_FORMATS.join(', ')}`))
+        process.exit(1)
+      }
+      
+      const projectPath = process.cwd()
+      const project = await detectProject(projectPath)
+      const templates = await repository.getTemplates()
+      const layers = await repository.selectLayers(options.layer.length > 0 ? options.layer : config.defaults.layers)
+      
+      const detected = await detectStack(projectPath)
+      
+      if (project.markers.length === 0) {
+        console.log(chalk.yellow('No project manifest found in the current directory (package.json, pyproject.toml, ...)'))
+      } else {
+        console.log(chalk.gray(`Detected project "${project.name}" (${project.markers.join(', ')})`))
+      }
+      if (detected.length > 0) {
+        console.log(chalk.gray(`Detected stack: ${detected.map(entry => `${entry.tag} ${formatConfidence(entry.confidence)}`).join(', ')}`))
+      }
+      
+      if (project.metadata) {
+        console.log(chalk.yellow(`This project already uses ${project.metadata.template} (v${project.metadata.version}). Use "update" to refresh it.`))
+      }
+      
+      let selectedTemplate
+      let range
+      if (templateSpec || options.template) {
+        const spec = parseTemplateSpec(templateSpec || options.template)
+        range = spec.range
+        selectedTemplate = await repository.findTemplate(spec.name, range)
+        if (!selectedTemplate) {
+          console.error(chalk.red(`Template "${spec.name}" not found`))
+          process.exit(1)
+        }
+      } else {
+        selectedTemplate = await promptForTemplate(templates, 'Select a template to apply:', detected)
+      }
+      
+      // Another template's metadata is what update merges against, so it is only replaced on request
+      const replaced = project.metadata && project.metadata.template !== selectedTemplate.name ? project.metadata : null
+      if (replaced && !options.force && !options.dryRun) {
+        console.error(chalk.red(`This project already uses ${replaced.template}. Applying ${selectedTemplate.name} would replace its metadata, so pass --force to do that.`))
+        process.exit(1)
       }
+      
+      selectedTemplate = await repository.fetchTemplate(selectedTemplate)
+      if (!await checkTemplateTrust(selectedTemplate, options)) {
+        process.exit(1)
+      }
+      
+      console.log(chalk.cyan(`\n📎 Applying ${selectedTemplate.name} to ${projectPath}\n`))
+      
+      const layeredTemplate = applyLayers(selectedTemplate, layers)
+      
+      // The project already exists, so its name comes from the manifest or directory
+      const variables = await resolveVariables(layeredTemplate, {
+        projectName: project.name.replace(/^@[^/]+\//, '').replace(/[^a-zA-Z0-9._-]/g, '-'),
+        ...getDefaultVariables(),
+        ...options.var
+      })
+      warnIgnoredRulesFormat(layeredTemplate, options.rulesFormat)
+      const files = buildProjectFiles(layeredTemplate, variables, options.rulesFormat)
+      const results = await writeTemplateFiles(projectPath, files, {
+        conflict: options.conflict,
+        dryRun: options.dryRun
+      })
+      
+      if (options.dryRun) {
+        if (replaced) {
+          console.log(chalk.yellow(`\nThis would replace the metadata of ${replaced.template} and needs --force.`))
+        }
+        printDryRun(results)
+        return
+      }
+      
+      // Files the user kept are theirs, so update must not merge the template into them
+      await fs.writeJson(path.join(projectPath, METADATA_FILE), {
+        template: selectedTemplate.name,
+        version: selectedTemplate.version,
+        range: range || `^${selectedTemplate.version}`,
+        installedAt: new Date().toISOString(),
+        projectName: project.name,
+        layers: recordLayers(layers),
+        rulesFormat: options.rulesFormat,
+        variables,
+        files: recordInstalledFiles(files, results),
+        kept: getKeptFiles(results)
+      }, { spaces: 2 })
+      await writeLockfile(projectPath, selectedTemplate, layers)
+      
+      printFileResults(results)
+      
+      await analytics.trackCommand('apply', selectedTemplate.name, true)
+      console.log(chalk.green(`\n✨ ${selectedTemplate.name} rules applied!`))
+      
+    } catch (error) {
+      handleError(error, 'apply', { template: templateSpec || options.template })
     }
+  })
+
+program
+  .command('create')
+  .description('Create a new template, interactively or from an existing project')
+  .option('--from <dir>', 'Build the template from a project\'s Cursor rules, package.json scripts and files')
+  .option('-n, --name <name>', 'Template name')
+  .option('--file <path>', 'Starter file to include with --from, relative to the project (repeatable)', collectList, [])
+  .option('--force', 'Replace an existing template with the same name')
+  .action(async (options) => {
+    try {
+      const interactive = Boolean(process.stdin.isTTY)
+      let template
+      
+      if (options.from) {
+        const projectPath = path.resolve(options.from)
+        if (!await fs.pathExists(projectPath)) {
+          console.error(chalk.red(`Directory "${options.from}" not found`))
+          process.exit(1)
+        }
+        
+        let files = options.file
+        for (const file of files) {
+          if (!await fs.pathExists(path.join(projectPath, file))) {
+            console.error(chalk.red(`File "${file}" not found in ${options.from}`))
+            process.exit(1)
+          }
+        }
+        
+        if (files.length === 0 && interactive) {
+          const candidates = await listProjectFiles(projectPath)
+          if (candidates.length > 0) {
+            const { selected } = await inquirer.prompt([
+              {
+                type: 'checkbox',
+                name: 'selected',
+                message: 'Starter files to include in the template:',
+                choices: candidates,
+                pageSize: 15
+              }
+            ])
+            files = selected
+          }
+        }
+        
+        template = await buildTemplateFromProject(projectPath, { name: options.name, files })
+      } else if (interactive) {
+        template = await promptNewTemplate(options.name)
+      } else {
+        console.error(chalk.red('create needs an interactive terminal, or use --from <dir>'))
+        process.exit(1)
+      }
+      
+      const templatePath = await saveTemplate(TEMPLATES_DIR, template, {
+        force: options.force,
+        templates: await repository.getRawTemplates()
+      })
+      
+      console.log(chalk.green(`\n✨ Created template ${template.name}: ${path.relative(process.cwd(), templatePath)}`))
+      if (template.ruleSets) {
+        console.log(chalk.gray(`  Rule sets: ${template.ruleSets.map(ruleSet => ruleSet.name).join(', ')}`))
+      }
+      if (template.commands) {
+        console.log(chalk.gray(`  Commands: ${Object.keys(template.commands).join(', ')}`))
+      }
+      if (template.files) {
+        console.log(chalk.gray(`  Files: ${template.files.length}`))
+      }
+      console.log(chalk.yellow('\nNext: review the rules in template.json, then try it with'))
+      console.log(`  cursor-templates init -t ${template.name} --dry-run`)
+      
+      await analytics.trackCommand('create', template.name, true)
+      
+    } catch (error) {
+      handleError(error, 'create', { from: options.from })
+    }
+  })
+
+async function promptNewTemplate(name) {
+  const { categories } = await repository.getCategories()
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Template name:',
+      default: name,
+      when: !name,
+      filter: toTemplateName,
+      validate: (input) => input.length > 0 || 'Template name is required'
+    },
+    {
+      type: 'input',
+      name: 'description',
+      message: 'Description:',
+      validate: (input) => input.trim().length > 0 || 'Description is required'
+    },
+    {
+      type: 'input',
+      name: 'framework',
+      message: 'Framework (e.g. Next.js 14+):'
+    },
+    {
+      type: 'input',
+      name: 'language',
+      message: 'Language:',
+      default: 'TypeScript'
+    },
+    {
+      type: 'list',
+      name: 'category',
+      message: 'Category:',
+      choices: [
+        ...Object.entries(categories).map(([key, category]) => ({ name: category.label, value: key })),
+        { name: 'None', value: null }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'tags',
+      message: 'Tags (comma separated):'
+    },
+    {
+      type: 'input',
+      name: 'install',
+      message: 'Install command (use {{projectName}} for the project directory, empty for none):'
+    },
+    {
+      type: 'input',
+      name: 'dev',
+      message: 'Dev command:',
+      default: '{{packageManager}} run dev'
+    }
+  ])
+  
+  const framework = answers.framework.trim()
+  const template = {
+    name: answers.name || name,
+    description: answers.description.trim(),
+    version: '1.0.0',
+    tags: answers.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+    ...(answers.category && { category: answers.category }),
+    rules: {
+      context: `You are an expert ${framework || answers.language} developer.`,
+      style: {
+        language: answers.language,
+        ...(framework && { framework }),
+        conventions: []
+      },
+      restrictions: [],
+      preferences: []
+    },
+    commands: {}
   }
   
-  return templates
+  if (answers.install.trim()) template.commands.install = answers.install.trim()
+  if (answers.dev.trim()) template.commands.dev = answers.dev.trim()
+  
+  return template
 }
 
-function filterByCategory(templates, category) {
-  const categoryMap = {
-    frontend: ['react', 'vue', 'angular', 'svelte'],
-    backend: ['express', 'fastapi', 'django', 'node', 'python'],
-    mobile: ['react-native', 'flutter', 'mobile', 'ios', 'android'],
-    desktop: ['electron', 'tauri', 'desktop'],
-    fullstack: ['nextjs', 't3', 'remix', 'nuxt', 'fullstack', 'ssr']
-  }
+function recordLayers(layers) {
+  return layers.map(layer => ({ name: layer.name, version: layer.version }))
+}
+
+// Ask for a template, defaulting to the best match for the detected stack
+async function promptForTemplate(templates, message, detected) {
+  const [best] = rankTemplates(templates, detected)
   
-  const categoryTags = categoryMap[category.toLowerCase()] || []
+  const { template } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'template',
+      message,
+      default: best ? templates.indexOf(best.template) : 0,
+      choices: templates.map(t => ({
+        name: `${t.name} - ${t.description}` +
+          (t === best?.template ? chalk.green(` (detected, ${formatConfidence(best.confidence)} match)`) : ''),
+        value: t
+      }))
+    }
+  ])
+  return template
+}
+
+// Variable values from the config, below any --var
+function getDefaultVariables() {
+  return {
+    ...(config.packageManager && { packageManager: config.packageManager }),
+    ...config.defaults.variables
+  }
+}
+
+// Collect repeated options such as `--layer`, ignoring repeats of the same value
+function collectList(value, previous = []) {
+  return previous.includes(value) ? previous : [...previous, value]
+}
+
+function parseSeconds(value) {
+  const seconds = Number(value)
+  if (!(seconds > 0)) {
+    throw new InvalidArgumentError('Expected a number of seconds.')
+  }
+  return seconds
+}
+
+// A hand-written .cursorrules is installed as is, so asking for .mdc rules has no effect
+function warnIgnoredRulesFormat(template, rulesFormat) {
+  if (rulesFormat === 'legacy' || !hasHandWrittenRules(template)) return
+  console.log(chalk.yellow(`⚠️  ${template.name} ships a hand-written ${CURSOR_RULES_PATH}, so --rules-format ${rulesFormat} was ignored`))
+}
+
+// Files for a project: drop entries whose `when` fails for the chosen
+// variables, render the rules, then substitute {{variables}}
+function buildProjectFiles(template, variables, rulesFormat) {
+  const resolved = applyTemplateConditions(template, variables)
+  return renderFiles(getTemplateFiles(resolved, { rulesFormat }), variables)
+}
+
+function printFileResults(results) {
+  results.forEach(result => {
+    const conflicts = result.conflicts ? chalk.red(` (${result.conflicts} conflict(s))`) : ''
+    console.log(`  ${chalk.bold(result.action.padEnd(15))} ${result.path}${conflicts}`)
+  })
   
-  return templates.filter(template =>
-    template.tags?.some(tag => 
-      categoryTags.some(categoryTag => 
-        tag.toLowerCase().includes(categoryTag)
-      )
-    )
-  )
+  if (results.some(result => result.conflicts)) {
+    console.log(chalk.yellow('\nResolve the conflict markers (<<<<<<< / >>>>>>>) before committing.'))
+  }
 }
 
-function groupTemplatesByCategory(templates) {
-  const groups = {
-    'Frontend': [],
-    'Backend': [],
-    'Mobile': [],
-    'Desktop': [],
-    'Full-Stack': [],
-    'Other': []
+// Registry and imported templates must be unchanged since they were
+// published and signed by a trusted key (see trust.js). A dry run only warns.
+async function checkTemplateTrust(template, { allowUnsigned, dryRun }) {
+  const trust = await repository.verifyTemplate(template)
+  if (trust.status === 'local') return true
+  
+  const label = `${template.name}@${template.version}`
+  if (trust.status === 'verified') {
+    console.log(chalk.gray(`🔏 ${label} is signed by ${trust.keyId}`))
+    return true
+  }
+  if (allowUnsigned || dryRun) {
+    const reason = allowUnsigned ? 'continuing because of --allow-unsigned' : 'it would be refused without --allow-unsigned'
+    console.log(chalk.yellow(`⚠️  ${label} ${trust.reason}; ${reason}`))
+    return true
   }
   
-  templates.forEach(template => {
-    const tags = template.tags || []
-    let categorized = false
-    
-    if (tags.some(tag => ['react', 'vue', 'angular', 'svelte'].includes(tag.toLowerCase()))) {
-      groups['Frontend'].push(template)
-      categorized = true
-    }
-    if (tags.some(tag => ['express', 'fastapi', 'django', 'node', 'python', 'backend', 'api'].includes(tag.toLowerCase()))) {
-      groups['Backend'].push(template)
-      categorized = true
-    }
-    if (tags.some(tag => ['react-native', 'flutter', 'mobile', 'ios', 'android'].includes(tag.toLowerCase()))) {
-      groups['Mobile'].push(template)
-      categorized = true
-    }
-    if (tags.some(tag => ['electron', 'tauri', 'desktop'].includes(tag.toLowerCase()))) {
-      groups['Desktop'].push(template)
-      categorized = true
-    }
-    if (tags.some(tag => ['nextjs', 't3', 'remix', 'nuxt', 'fullstack', 'ssr'].includes(tag.toLowerCase()))) {
-      groups['Full-Stack'].push(template)
-      categorized = true
-    }
-    
-    if (!categorized) {
-      groups['Other'].push(template)
-    }
+  console.error(chalk.red(`✖ ${label} ${trust.reason}. Refusing to use it.`))
+  console.log(chalk.gray(trust.status === 'tampered'
+    ? 'It changed after it was published or imported. Import it again or clear the cache, or pass --allow-unsigned.'
+    : `Add the publisher's key to "trustedKeys" in ${USER_CONFIG_FILE}, or pass --allow-unsigned.`))
+  return false
+}
+
+function printChangelog(changelog) {
+  if (changelog.length === 0) return
+  
+  console.log(chalk.cyan('\n📝 Changelog:'))
+  changelog.forEach(({ version, changes }) => {
+    console.log(chalk.bold(`  ${version}`))
+    changes.forEach(change => console.log(`    - ${change}`))
   })
+}
+
+function printMigrationPlan(migrations, runOptions) {
+  if (migrations.length === 0) return
   
-  // Remove empty groups
-  return Object.fromEntries(
-    Object.entries(groups).filter(([_, templates]) => templates.length > 0)
-  )
+  console.log(chalk.cyan('\n🔧 Migrations to run:'))
+  migrations.forEach(({ version, steps }) => {
+    steps.forEach(step => console.log(`  ${chalk.gray(version.padEnd(8))} ${describeMigration(step, runOptions)}`))
+  })
 }
 
-function getCategories(templates) {
-  const categories = {}
-  const grouped = groupTemplatesByCategory(templates)
+function printMigrationResults(results) {
+  if (results.length === 0) return
   
-  for (const [category, categoryTemplates] of Object.entries(grouped)) {
-    categories[category] = categoryTemplates.length
+  console.log(chalk.cyan('\n🔧 Migrations:'))
+  results.forEach(result => {
+    const reason = result.reason ? chalk.gray(` (${result.reason})`) : ''
+    const action = result.action === 'failed' ? chalk.red(result.action.padEnd(15)) : chalk.bold(result.action.padEnd(15))
+    console.log(`  ${action} ${result.description}${reason}`)
+  })
+  
+  if (results.some(result => result.action === 'failed')) {
+    console.log(chalk.yellow('\nRun the failed migration commands by hand, then check the project.'))
   }
+}
+
+// Commands that need a shell run as written, whatever --pm says
+function printCommandWarning(command) {
+  if (command?.warning) {
+    console.log(chalk.yellow(`  ⚠️  This command ${command.warning}`))
+  }
+}
+
+function printHookPlan(hook, steps) {
+  if (steps.length === 0) return
   
-  return categories
+  console.log(chalk.cyan(`\n🪝 ${hook} hook:`))
+  steps.forEach(step => {
+    const skip = step.skip ? chalk.gray(` (skipped: ${step.skip})`) : ''
+    console.log(`  ${describeHookStep(step)}${skip}`)
+  })
 }
 
-async function getRatings() {
+// Run a template hook behind a spinner, or streaming under --verbose, and
+// report each step. Failures set the exit code but are left to the caller.
+async function runTemplateHook(hook, projectPath, steps, { timeout } = {}) {
+  if (steps.length === 0) return { ok: true }
+  
+  const { verbose } = program.opts()
+  const spinner = ora(`Running ${hook} hook...`)
+  if (!verbose) spinner.start()
+  
   try {
-    const ratingsPath = path.join(__dirname, '..', 'community', 'ratings.json')
-    if (await fs.pathExists(ratingsPath)) {
-      return await fs.readJson(ratingsPath)
-    }
+    const { results, ok } = await runHook(projectPath, steps, {
+      verbose,
+      timeout,
+      onStep: step => {
+        if (verbose) console.log(chalk.gray(`$ ${step.command.display}`))
+        else spinner.text = `${hook}: ${step.name}`
+      }
+    })
+    spinner.stop()
+    printHookResults(hook, results)
+    if (!ok) process.exitCode = 1
+    return { ok }
   } catch (error) {
-    console.warn(chalk.yellow('Warning: Could not load ratings'))
+    if (!error.cancelled) throw error
+    spinner.stop()
+    console.log(chalk.yellow(`\n${hook} hook cancelled: ${error.message}`))
+    process.exitCode = 130
+    return { ok: false, cancelled: true }
   }
+}
+
+function printHookResults(hook, results) {
+  console.log(chalk.cyan(`\n🪝 ${hook}:`))
+  results.forEach(result => {
+    const reason = result.reason ? chalk.gray(` (${result.reason})`) : ''
+    const action = result.action === 'failed' ? chalk.red(result.action.padEnd(8)) : chalk.bold(result.action.padEnd(8))
+    console.log(`  ${action} ${result.step.name}${reason}`)
+    if (result.output) {
+      console.log(chalk.gray(result.output.replace(/^/gm, '           ')))
+    }
+  })
   
-  return {
-    templates: {},
-    featured: [],
-    trending: []
+  if (results.some(result => result.action === 'failed')) {
+    console.log(chalk.yellow('\nRun the failed steps by hand, then check the project.'))
   }
 }
 
-async function addRating(templateName, rating, comment) {
-  try {
-    const ratingsPath = path.join(__dirname, '..', 'community', 'ratings.json')
-    await fs.ensureDir(path.dirname(ratingsPath))
-    
-    let ratings = await getRatings()
+// Print the planned file changes with a unified diff for each one
+function printDryRun(results) {
+  printFileResults(results)
+  
+  for (const result of results) {
+    if (result.content === null || result.content === result.previous) continue
     
-    if (!ratings.templates[templateName]) {
-      ratings.templates[templateName] = {
-        rating: 0,
-        votes: 0,
-        reviews: []
-      }
+    if (result.binary) {
+      console.log(chalk.gray(`\nBinary file ${result.path} ${result.previous === null ? 'added' : 'differs'}`))
+      continue
     }
     
-    const template = ratings.templates[templateName]
-    
-    // Simple rating calculation (could be more sophisticated)
-    const newTotal = (template.rating * template.votes) + rating
-    template.votes += 1
-    template.rating = Math.round((newTotal / template.votes) * 10) / 10
-    
-    if (comment) {
-      template.reviews.push({
-        user: 'anonymous', // In real app, would use actual user
-        rating,
-        comment,
-        date: new Date().toISOString()
-      })
-    }
+    const patch = createTwoFilesPatch(
+      result.previous === null ? '/dev/null' : `a/${result.path}`,
+      `b/${result.path}`,
+      result.previous || '',
+      result.content
+    )
     
-    await fs.writeJson(ratingsPath, ratings, { spaces: 2 })
-  } catch (error) {
-    throw new Error(`Failed to add rating: ${error.message}`)
+    console.log()
+    patch.split('\n').slice(1).forEach(line => {
+      if (line.startsWith('+') && !line.startsWith('+++')) console.log(chalk.green(line))
+      else if (line.startsWith('-') && !line.startsWith('---')) console.log(chalk.red(line))
+      else if (line.startsWith('@@')) console.log(chalk.cyan(line))
+      else console.log(line)
+    })
   }
+  
+  console.log(chalk.yellow('\nDry run: no files were written'))
 }
 
-function isNewer(newVersion, currentVersion) {
-  try {
-    return semver.gt(newVersion, currentVersion)
-  } catch (error) {
-    // Fallback to simple string comparison if semver fails
-    return newVersion !== currentVersion
+function printDoctorReport(metadata, issues, fixed) {
+  const icons = { error: chalk.red('✖'), warning: chalk.yellow('⚠'), info: chalk.gray('ℹ') }
+  
+  console.log(chalk.cyan(`\n🩺 Checking ${metadata.template} (v${metadata.version})\n`))
+  
+  fixed.forEach(issue => console.log(`  ${chalk.green('✔')} Restored ${issue.fix.path}`))
+  issues.forEach(issue => {
+    console.log(`  ${icons[issue.level]} ${issue.message}`)
+    if (issue.hint) console.log(chalk.gray(`    ${issue.hint}`))
+  })
+  
+  const problems = issues.filter(issue => issue.level !== 'info')
+  const fixable = problems.filter(issue => issue.fix)
+  if (problems.length === 0) {
+    console.log(chalk.green(`${issues.length + fixed.length > 0 ? '\n' : ''}✅ No problems found`))
+  } else {
+    console.log(chalk.yellow(`\n${problems.length} problem(s) found`))
+    if (fixable.length > 0) {
+      console.log(chalk.yellow(`Run "cursor-templates doctor --fix" to restore ${fixable.length} file(s)`))
+    }
   }
 }
 
@@ -0,0 +1,144 @@
+// Template inheritance: a template can declare `extends: ["parent-name"]` and
+// is merged on top of its parents, left to right. Rule lists and tags are
+// concatenated and de-duplicated, files override by path, commands by key,
+// variables and rule sets by name, and hook steps run the parents' first;
+// everything else the child sets wins.
+
+export function resolveTemplates(templates) {
+  const byName = new Map(templates.map(template => [template.name, template]))
+  const resolved = new Map()
+  const errors = []
+
+  function resolve(template, chain) {
+    if (resolved.has(template.name)) return resolved.get(template.name)
+
+    if (chain.includes(template.name)) {
+      throw new Error(`Circular extends: ${[...chain, template.name].join(' -> ')}`)
+    }
+
+    let result = {}
+    for (const parentName of [].concat(template.extends || [])) {
+      const parent = byName.get(parentName)
+      if (!parent) {
+        throw new Error(`Parent template "${parentName}" not found`)
+      }
+      result = mergeTemplates(result, resolve(parent, [...chain, template.name]))
+    }
+
+    // Abstract-ness, identity and version history are never inherited
+    const { abstract, changelog, migrations, ...inherited } = result
+    const merged = mergeTemplates(inherited, template)
+    resolved.set(template.name, merged)
+    return merged
+  }
+
+  for (const template of templates) {
+    try {
+      resolve(template, [])
+    } catch (error) {
+      errors.push({ template: template.name, message: error.message })
+    }
+  }
+
+  return {
+    templates: templates.filter(template => resolved.has(template.name)).map(template => resolved.get(template.name)),
+    errors
+  }
+}
+
+export function mergeTemplates(parent, child) {
+  const merged = { ...parent, ...child }
+
+  // The child's own tags describe it best, so they come first
+  merged.tags = unique([...(child.tags || []), ...(parent.tags || [])])
+  merged.rules = mergeRules(parent.rules, child.rules)
+  merged.files = mergeBy('path', parent.files, child.files)
+  merged.ruleSets = mergeBy('name', parent.ruleSets, child.ruleSets)
+  merged.variables = mergeBy('name', parent.variables, child.variables)
+  merged.commands = { ...parent.commands, ...child.commands }
+  merged.hooks = mergeHooks(parent.hooks, child.hooks)
+
+  // Don't introduce empty keys the template never had
+  for (const key of ['tags', 'files', 'ruleSets', 'variables']) {
+    if (merged[key].length === 0) delete merged[key]
+  }
+  if (Object.keys(merged.commands).length === 0) delete merged.commands
+  if (!merged.hooks) delete merged.hooks
+  if (!merged.rules) delete merged.rules
+
+  return merged
+}
+
+// Layers stack cross-cutting rules (testing, a11y, company conventions) on
+// top of a template without replacing any of its own: each layer's rules
+// become an always-applied rule set, after the template's, in the order given
+export function applyLayers(template, layers = []) {
+  return layers.reduce((result, layer) => {
+    const ruleSets = layer.rules
+      ? [{ name: layer.name, description: layer.description, alwaysApply: true, rules: layer.rules }]
+      : []
+    ruleSets.push(...(layer.ruleSets || []))
+
+    for (const ruleSet of ruleSets) {
+      if ((result.ruleSets || []).some(existing => existing.name === ruleSet.name)) {
+        throw new Error(`Layer "${layer.name}" adds rule set "${ruleSet.name}", which ${result.name} already has`)
+      }
+    }
+
+    return {
+      ...result,
+      files: mergeBy('path', result.files, layer.files),
+      variables: mergeBy('name', result.variables, layer.variables),
+      ruleSets: [...(result.ruleSets || []), ...ruleSets]
+    }
+  }, template)
+}
+
+function mergeRules(parent, child) {
+  if (!parent || !child) return child || parent
+
+  return {
+    ...parent,
+    ...child,
+    style: {
+      ...parent.style,
+      ...child.style,
+      conventions: uniqueEntries(parent.style?.conventions, child.style?.conventions)
+    },
+    restrictions: uniqueEntries(parent.restrictions, child.restrictions),
+    preferences: uniqueEntries(parent.preferences, child.preferences)
+  }
+}
+
+function mergeHooks(parent, child) {
+  if (!parent || !child) return child || parent
+
+  const hooks = {}
+  for (const hook of new Set([...Object.keys(parent), ...Object.keys(child)])) {
+    hooks[hook] = [...(parent[hook] || []), ...(child[hook] || [])]
+  }
+  return hooks
+}
+
+function mergeBy(key, parentItems = [], childItems = []) {
+  const items = new Map()
+  for (const item of [...parentItems, ...childItems]) {
+    items.set(item[key], item)
+  }
+  return [...items.values()]
+}
+
+// Rule entries are strings or `{ text, when }`; the first one with a given text wins
+function uniqueEntries(parentEntries = [], childEntries = []) {
+  const seen = new Set()
+  return [...parentEntries, ...childEntries].filter(entry => {
+    const text = typeof entry === 'string' ? entry : entry.text
+    if (seen.has(text)) return false
+    seen.add(text)
+    return true
+  })
+}
+
+function unique(values) {
+  return [...new Set(values)]
+}
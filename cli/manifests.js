@@ -0,0 +1,140 @@
+import fs from 'fs-extra'
+import path from 'path'
+
+const PACKAGE_JSON_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']
+
+// Dependencies declared in a project's manifests, grouped by ecosystem.
+// An ecosystem is missing when the project has none of its manifests, so
+// callers can tell "not installed" apart from "not that kind of project".
+export async function readDependencies(projectPath) {
+  const dependencies = {}
+
+  const pkg = await readManifest(projectPath, 'package.json', text => JSON.parse(text))
+  if (pkg) {
+    const names = PACKAGE_JSON_FIELDS.flatMap(field => Object.keys(pkg[field] || {}))
+    dependencies.npm = { files: ['package.json'], names: new Set(names) }
+  }
+
+  const python = []
+  for (const [file, parse] of [['requirements.txt', parseRequirements], ['pyproject.toml', parsePyproject]]) {
+    const names = await readManifest(projectPath, file, parse)
+    if (names) python.push({ file, names })
+  }
+  if (python.length > 0) {
+    dependencies.python = {
+      files: python.map(entry => entry.file),
+      names: new Set(python.flatMap(entry => entry.names).map(normalizePythonName))
+    }
+  }
+
+  const pubspec = await readManifest(projectPath, 'pubspec.yaml', parsePubspec)
+  if (pubspec) {
+    dependencies.dart = { files: ['pubspec.yaml'], names: new Set(pubspec) }
+  }
+
+  return dependencies
+}
+
+// Whether `names` has any of `packages`. Entries ending in "/" match a
+// whole npm scope, e.g. "@remix-run/".
+export function hasDependency(names, packages) {
+  return packages.some(name => name.endsWith('/')
+    ? [...names].some(entry => entry.startsWith(name))
+    : names.has(name))
+}
+
+export function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[_.]+/g, '-')
+}
+
+// Unreadable manifests are treated like missing ones
+async function readManifest(projectPath, file, parse) {
+  const filePath = path.join(projectPath, file)
+  if (!await fs.pathExists(filePath)) return null
+
+  try {
+    return parse(await fs.readFile(filePath, 'utf8'))
+  } catch (error) {
+    return null
+  }
+}
+
+function parseRequirements(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-'))
+    .map(getRequirementName)
+    .filter(Boolean)
+}
+
+// PEP 621 dependency lists, optional dependency groups and Poetry
+// dependency tables. Not a TOML parser, just enough to list names.
+function parsePyproject(text) {
+  const names = []
+  let section = ''
+  let inList = false
+
+  for (const line of text.split(/\r?\n/)) {
+    let rest = line.replace(/\s#.*$/, '').trim()
+
+    const header = rest.match(/^\[+\s*([^\]]+?)\s*\]+$/)
+    if (header) {
+      section = header[1]
+      inList = false
+      continue
+    }
+
+    const entry = !inList && rest.match(/^["']?([A-Za-z0-9_.-]+)["']?\s*=\s*(.*)$/)
+    if (entry) {
+      const [, key, value] = entry
+      if (/(^|\.)dependencies$/.test(section) && section !== 'project.optional-dependencies' && !value.startsWith('[')) {
+        // Poetry: `fastapi = "^0.110"`
+        if (key !== 'python') names.push(key)
+        continue
+      }
+
+      const isList = key === 'dependencies' ||
+        section === 'project.optional-dependencies' ||
+        section === 'dependency-groups'
+      if (!isList || !value.startsWith('[')) continue
+
+      inList = true
+      rest = value
+    }
+
+    if (inList) {
+      for (const match of rest.matchAll(/"([^"]*)"|'([^']*)'/g)) {
+        const name = getRequirementName(match[1] ?? match[2])
+        if (name) names.push(name)
+      }
+      if (rest.includes(']')) inList = false
+    }
+  }
+
+  return names
+}
+
+// Keys of the top-level dependency maps
+function parsePubspec(text) {
+  const names = []
+  let inDependencies = false
+
+  for (const line of text.split(/\r?\n/)) {
+    const topLevel = line.match(/^([A-Za-z_]+):/)
+    if (topLevel) {
+      inDependencies = ['dependencies', 'dev_dependencies'].includes(topLevel[1])
+      continue
+    }
+
+    const dependency = inDependencies && line.match(/^ {2}([A-Za-z0-9_]+):/)
+    if (dependency) names.push(dependency[1])
+  }
+
+  return names
+}
+
+// "fastapi[all]>=0.110 ; python_version >= '3.9'" -> "fastapi"
+function getRequirementName(requirement) {
+  return requirement.trim().match(/^[A-Za-z0-9][A-Za-z0-9_.-]*/)?.[0] || null
+}
@@ -0,0 +1,150 @@
+import { diffArrays, diffLines } from 'diff'
+
+// Merge template content into an existing file without a common ancestor.
+// Lines only one side has are kept; lines both sides changed differently are
+// wrapped in git-style conflict markers so nothing local is lost.
+export function mergeTwoWay(local, incoming, labels = {}) {
+  const { local: localLabel = 'local', incoming: incomingLabel = 'template' } = labels
+  const parts = diffLines(local, incoming)
+  const output = []
+  let conflicts = 0
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i]
+    const next = parts[i + 1]
+
+    if (part.removed && next?.added) {
+      output.push(
+        `<<<<<<< ${localLabel}\n`,
+        ensureNewline(part.value),
+        '=======\n',
+        ensureNewline(next.value),
+        `>>>>>>> ${incomingLabel}\n`
+      )
+      conflicts++
+      i++
+    } else {
+      output.push(part.value)
+    }
+  }
+
+  return { content: output.join(''), conflicts }
+}
+
+function ensureNewline(text) {
+  return text.endsWith('\n') ? text : `${text}\n`
+}
+
+// Three-way merge of a file the template installed (`base`), the project's
+// current copy (`local`) and the new template version (`incoming`). Changes
+// made on only one side are taken as-is; overlapping changes that differ
+// become conflict blocks.
+export function mergeThreeWay(base, local, incoming, labels = {}) {
+  const { local: localLabel = 'local', incoming: incomingLabel = 'template' } = labels
+  const baseLines = splitLines(base)
+  const localLines = splitLines(local)
+  const incomingLines = splitLines(incoming)
+
+  const hunks = [
+    ...getHunks(baseLines, localLines).map(hunk => ({ ...hunk, side: 'local' })),
+    ...getHunks(baseLines, incomingLines).map(hunk => ({ ...hunk, side: 'incoming' }))
+  ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd)
+
+  const output = []
+  let conflicts = 0
+  let cursor = 0
+  let i = 0
+
+  while (i < hunks.length) {
+    // Group hunks whose base ranges overlap or touch
+    const group = [hunks[i]]
+    const groupStart = hunks[i].baseStart
+    let groupEnd = hunks[i].baseEnd
+    i++
+    while (i < hunks.length && hunks[i].baseStart <= groupEnd) {
+      group.push(hunks[i])
+      groupEnd = Math.max(groupEnd, hunks[i].baseEnd)
+      i++
+    }
+
+    output.push(...baseLines.slice(cursor, groupStart))
+    cursor = groupEnd
+
+    const localHunks = group.filter(hunk => hunk.side === 'local')
+    const incomingHunks = group.filter(hunk => hunk.side === 'incoming')
+    const localRegion = applyHunks(baseLines, groupStart, groupEnd, localHunks)
+    const incomingRegion = applyHunks(baseLines, groupStart, groupEnd, incomingHunks)
+
+    if (localHunks.length === 0) {
+      output.push(...incomingRegion)
+    } else if (incomingHunks.length === 0 || sameLines(localRegion, incomingRegion)) {
+      output.push(...localRegion)
+    } else {
+      output.push(
+        `<<<<<<< ${localLabel}\n`,
+        ...withTrailingNewline(localRegion),
+        '=======\n',
+        ...withTrailingNewline(incomingRegion),
+        `>>>>>>> ${incomingLabel}\n`
+      )
+      conflicts++
+    }
+  }
+
+  output.push(...baseLines.slice(cursor))
+
+  return { content: output.join(''), conflicts }
+}
+
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || []
+}
+
+// Turn a line diff into hunks: base lines [baseStart, baseEnd) become `lines`
+function getHunks(baseLines, otherLines) {
+  const hunks = []
+  let baseIndex = 0
+  let current = null
+
+  for (const part of diffArrays(baseLines, otherLines)) {
+    if (!part.added && !part.removed) {
+      if (current) hunks.push(current)
+      current = null
+      baseIndex += part.value.length
+      continue
+    }
+
+    current = current || { baseStart: baseIndex, baseEnd: baseIndex, lines: [] }
+    if (part.removed) {
+      baseIndex += part.value.length
+      current.baseEnd = baseIndex
+    } else {
+      current.lines.push(...part.value)
+    }
+  }
+
+  if (current) hunks.push(current)
+  return hunks
+}
+
+function applyHunks(baseLines, start, end, hunks) {
+  const lines = []
+  let cursor = start
+
+  for (const hunk of hunks) {
+    lines.push(...baseLines.slice(cursor, hunk.baseStart), ...hunk.lines)
+    cursor = hunk.baseEnd
+  }
+
+  lines.push(...baseLines.slice(cursor, end))
+  return lines
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index])
+}
+
+function withTrailingNewline(lines) {
+  if (lines.length === 0) return lines
+  return [...lines.slice(0, -1), ensureNewline(lines[lines.length - 1])]
+}
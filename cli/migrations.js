@@ -0,0 +1,213 @@
+import fs from 'fs-extra'
+import path from 'path'
+import semver from 'semver'
+import { hashContent } from './project.js'
+import { resolveFilePath } from './files.js'
+import { CURSOR_RULES_PATH, CURSOR_RULES_DIR } from './rules.js'
+import { prepareCommand, runCommand } from './runner.js'
+
+// Templates describe their history in template.json, keyed by the version
+// that introduced the change:
+//
+//   "changelog": {
+//     "2.0.0": ["Rules target the App Router instead of pages/"]
+//   },
+//   "migrations": {
+//     "2.0.0": [
+//       { "type": "rename", "from": "pages/_app.tsx", "to": "app/layout.tsx" },
+//       { "type": "delete", "path": "pages/index.tsx" },
+//       { "type": "replaceRule", "from": "Use getServerSideProps", "to": "Use Server Components" },
+//       { "type": "run", "command": "npx @next/codemod@latest next-async-request-api ." }
+//     ]
+//   }
+//
+// `update` shows the changelog entries after the installed version, up to
+// and including the target, and runs their migrations oldest first.
+
+// Changelog entries between two versions, newest first
+export function getChangelog(template, from, to) {
+  return getVersionsBetween(template.changelog, from, to)
+    .reverse()
+    .map(version => ({ version, changes: [].concat(template.changelog[version]) }))
+}
+
+// Migrations between two versions, oldest first. Moving back to an older
+// version runs none: migrations only go forward.
+export function getMigrations(template, from, to) {
+  return getVersionsBetween(template.migrations, from, to)
+    .map(version => ({ version, steps: template.migrations[version] }))
+    .filter(migration => migration.steps.length > 0)
+}
+
+// One line describing a migration step, shown before it runs. Commands are
+// shown as they will run with `packageManager`.
+export function describeMigration(step, { packageManager } = {}) {
+  switch (step.type) {
+    case 'rename': return `rename ${step.from} → ${step.to}`
+    case 'delete': return `delete ${step.path}`
+    case 'replaceRule': return step.to === undefined
+      ? `remove rule "${step.from}"`
+      : `replace rule "${step.from}" → "${step.to}"`
+    case 'run': {
+      const command = prepareCommand(step.command, { packageManager })
+      return `run ${command.display}${command.warning ? ` (${command.warning})` : ''}`
+    }
+    default: return `unknown migration "${step.type}"`
+  }
+}
+
+// Apply migrations to a project before its files are updated. `installed`
+// is the snapshot from .cursor-template.json; it is migrated along with the
+// project, so renamed files are still three-way merged and rule
+// replacements don't count as local edits. Files edited since install are
+// never deleted. Commands run through the command runner with the
+// project's package manager; a failing one is reported and the rest still run.
+// Returns the migrated snapshot and one result per step. A dry run also
+// returns `pending`: the files it would have moved ({ from }), rewritten
+// ({ content }) or removed ({ deleted }), so the update that follows can be
+// previewed.
+export async function runMigrations(projectPath, migrations, installed = {}, { dryRun = false, packageManager, verbose = false } = {}) {
+  const files = { ...installed }
+  const pending = {}
+  const results = []
+
+  for (const { version, steps } of migrations) {
+    for (const step of steps) {
+      const result = await runStep(projectPath, step, { files, pending, dryRun, packageManager, verbose })
+      results.push({ version, description: describeMigration(step, { packageManager }), ...result })
+    }
+  }
+
+  return { installed: files, pending, results }
+}
+
+async function runStep(projectPath, step, { files, pending, dryRun, packageManager, verbose }) {
+  switch (step.type) {
+    case 'rename': {
+      const from = resolveProjectPath(projectPath, step.from)
+      const to = resolveProjectPath(projectPath, step.to)
+      if (!await existsAfterSteps(projectPath, step.from, { pending, dryRun })) {
+        return { action: 'skipped', reason: `${step.from} not found` }
+      }
+      if (await existsAfterSteps(projectPath, step.to, { pending, dryRun })) {
+        return { action: 'skipped', reason: `${step.to} already exists` }
+      }
+
+      if (!dryRun) {
+        await fs.move(from, to)
+        await removeEmptyDirs(projectPath, path.dirname(from))
+      }
+      pending[step.to] = pending[step.from] || { from: step.from }
+      pending[step.from] = { deleted: true }
+      if (files[step.from]) {
+        files[step.to] = files[step.from]
+        delete files[step.from]
+      }
+      return { action: 'renamed' }
+    }
+
+    case 'delete': {
+      const filePath = resolveProjectPath(projectPath, step.path)
+      if (!await existsAfterSteps(projectPath, step.path, { pending, dryRun })) {
+        return { action: 'skipped', reason: `${step.path} not found` }
+      }
+
+      // Binary files are recorded by hash only, as base64. A dry run reads
+      // the file from where an earlier step would have put it.
+      const base = files[step.path]
+      const entry = dryRun ? pending[step.path] : undefined
+      const content = base && (entry?.content ?? await fs.readFile(
+        resolveProjectPath(projectPath, entry?.from || step.path),
+        base.content === undefined ? 'base64' : 'utf8'
+      ))
+      if (!base || hashContent(content) !== base.hash) {
+        return { action: 'kept', reason: `${step.path} was edited since install` }
+      }
+
+      if (!dryRun) {
+        await fs.remove(filePath)
+        await removeEmptyDirs(projectPath, path.dirname(filePath))
+      }
+      pending[step.path] = { deleted: true }
+      delete files[step.path]
+      return { action: 'deleted' }
+    }
+
+    case 'replaceRule': {
+      const replace = content => step.to === undefined
+        ? content.split('\n').filter(line => !line.includes(step.from)).join('\n')
+        : content.split(step.from).join(step.to)
+
+      const changed = []
+      for (const rulesPath of await listRuleFiles(projectPath)) {
+        const filePath = path.join(projectPath, rulesPath)
+        const content = pending[rulesPath]?.content ?? await fs.readFile(filePath, 'utf8')
+        if (!content.includes(step.from)) continue
+
+        if (dryRun) {
+          pending[rulesPath] = { content: replace(content) }
+        } else {
+          await fs.writeFile(filePath, replace(content))
+        }
+        if (files[rulesPath]?.content !== undefined) {
+          const migrated = replace(files[rulesPath].content)
+          files[rulesPath] = { hash: hashContent(migrated), content: migrated }
+        }
+        changed.push(rulesPath)
+      }
+      return changed.length > 0
+        ? { action: 'replaced', reason: changed.join(', ') }
+        : { action: 'skipped', reason: 'rule not found' }
+    }
+
+    case 'run': {
+      if (dryRun) return { action: 'would run' }
+      try {
+        await runCommand(step.command, { cwd: projectPath, packageManager, verbose })
+        return { action: 'ran' }
+      } catch (error) {
+        if (error.cancelled) throw error
+        return { action: 'failed', reason: error.message }
+      }
+    }
+
+    default:
+      return { action: 'skipped', reason: `unknown migration type "${step.type}"` }
+  }
+}
+
+// Versions keyed in `entries` after `from`, up to and including `to`, oldest first
+function getVersionsBetween(entries = {}, from, to) {
+  return Object.keys(entries)
+    .filter(version => semver.valid(version) && semver.gt(version, from) && semver.lte(version, to))
+    .sort(semver.compare)
+}
+
+// Whether a file is there after the steps so far. A dry run leaves the
+// project as it is, so there `pending` has the last word.
+async function existsAfterSteps(projectPath, relativePath, { pending, dryRun }) {
+  if (dryRun && pending[relativePath]) return !pending[relativePath].deleted
+  return fs.pathExists(resolveProjectPath(projectPath, relativePath))
+}
+
+function resolveProjectPath(projectPath, relativePath) {
+  return resolveFilePath(projectPath, relativePath, { label: 'Migration path' })
+}
+
+// Don't leave behind the directories a rename or delete emptied
+async function removeEmptyDirs(projectPath, dir) {
+  const root = path.resolve(projectPath)
+  while (dir !== root && dir.startsWith(root + path.sep) && (await fs.readdir(dir)).length === 0) {
+    await fs.remove(dir)
+    dir = path.dirname(dir)
+  }
+}
+
+async function listRuleFiles(projectPath) {
+  const rulesDir = path.join(projectPath, CURSOR_RULES_DIR)
+  const mdcFiles = await fs.pathExists(rulesDir)
+    ? (await fs.readdir(rulesDir)).filter(file => file.endsWith('.mdc')).map(file => `${CURSOR_RULES_DIR}/${file}`)
+    : []
+  const legacy = await fs.pathExists(path.join(projectPath, CURSOR_RULES_PATH)) ? [CURSOR_RULES_PATH] : []
+  return [...legacy, ...mdcFiles]
+}
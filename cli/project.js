@@ -0,0 +1,234 @@
+import inquirer from 'inquirer'
+import fs from 'fs-extra'
+import path from 'path'
+import crypto from 'crypto'
+import { mergeTwoWay, mergeThreeWay } from './merge.js'
+import { isBinaryFile, toBuffer, resolveFilePath } from './files.js'
+
+export const METADATA_FILE = '.cursor-template.json'
+export const LOCK_FILE = '.cursor-template.lock'
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'merge', 'prompt']
+
+// Manifests that mark a directory as an existing project
+const PROJECT_MARKERS = [
+  'package.json',
+  'pyproject.toml',
+  'requirements.txt',
+  'manage.py',
+  'pubspec.yaml',
+  'go.mod',
+  'Cargo.toml'
+]
+
+export async function detectProject(projectPath) {
+  const markers = []
+  for (const marker of PROJECT_MARKERS) {
+    if (await fs.pathExists(path.join(projectPath, marker))) {
+      markers.push(marker)
+    }
+  }
+
+  let name = path.basename(projectPath)
+  if (markers.includes('package.json')) {
+    try {
+      const pkg = await fs.readJson(path.join(projectPath, 'package.json'))
+      name = pkg.name || name
+    } catch (error) {
+      // Fall back to the directory name for unreadable manifests
+    }
+  }
+
+  const metadataPath = path.join(projectPath, METADATA_FILE)
+  const metadata = await fs.pathExists(metadataPath) ? await fs.readJson(metadataPath) : null
+
+  return { name, markers, metadata }
+}
+
+// Write template files into a project, resolving files that already exist
+// with the given conflict strategy. Returns one result per file, with the
+// previous and resulting content so callers can show a diff. With `dryRun`
+// nothing is written and the prompt strategy is not asked.
+export async function writeTemplateFiles(projectPath, files, { conflict = 'overwrite', dryRun = false } = {}) {
+  if (!CONFLICT_STRATEGIES.includes(conflict)) {
+    throw new Error(`Unknown conflict strategy "${conflict}". Use one of: ${CONFLICT_STRATEGIES.join(', ')}`)
+  }
+
+  // Check every path before writing any, so a bad one leaves the project untouched
+  files.forEach(file => resolveFilePath(projectPath, file.path))
+  const results = []
+
+  for (const file of files) {
+    const filePath = resolveFilePath(projectPath, file.path)
+    const previous = await readExisting(filePath, file)
+    let result
+
+    if (previous === null) {
+      result = { action: 'created', content: file.content }
+    } else if (previous === file.content) {
+      result = { action: 'unchanged', content: previous }
+    } else {
+      let strategy = conflict
+      if (strategy === 'prompt' && dryRun) {
+        strategy = 'would prompt'
+      } else if (strategy === 'prompt') {
+        const { choice } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'choice',
+            message: `${file.path} already exists. What should happen?`,
+            choices: [
+              { name: 'Keep my version', value: 'skip' },
+              { name: 'Overwrite with the template version', value: 'overwrite' },
+              { name: 'Merge (mark conflicting lines)', value: 'merge' }
+            ]
+          }
+        ])
+        strategy = choice
+      }
+
+      if (strategy === 'skip') {
+        result = { action: 'skipped', content: previous }
+      } else if (strategy === 'merge' && isBinaryFile(file)) {
+        // Binary files can't be merged line by line, so the local copy stays
+        result = { action: 'kept (binary)', content: previous }
+      } else if (strategy === 'merge') {
+        const merged = mergeTwoWay(previous, file.content)
+        result = { action: 'merged', content: merged.content, conflicts: merged.conflicts }
+      } else {
+        result = { action: strategy === 'overwrite' ? 'overwritten' : strategy, content: file.content }
+      }
+    }
+
+    await writeResult(filePath, file, previous, result.content, dryRun)
+    results.push({ path: file.path, previous, ...result, ...(isBinaryFile(file) && { binary: true }) })
+  }
+
+  return results
+}
+
+export function hashContent(content) {
+  return 'sha256-' + crypto.createHash('sha256').update(content).digest('hex')
+}
+
+// Snapshot of what the template installed, stored in .cursor-template.json
+// so `update` can tell local edits apart from template changes. Binary
+// files are never merged, so only their hash is kept. Files `results` show
+// the user kept their own version of are left out: they were not installed.
+export function recordInstalledFiles(files, results = []) {
+  const kept = new Set(results.filter(isKept).map(result => result.path))
+  return Object.fromEntries(
+    files.filter(file => !kept.has(file.path)).map(file => [
+      file.path,
+      isBinaryFile(file)
+        ? { hash: hashContent(file.content) }
+        : { hash: hashContent(file.content), content: file.content }
+    ])
+  )
+}
+
+// Paths whose local version the user chose to keep over the template's,
+// stored in .cursor-template.json so `update` leaves them alone too
+export function getKeptFiles(results) {
+  return results.filter(result => result.action === 'skipped').map(result => result.path)
+}
+
+function isKept(result) {
+  return result.action === 'skipped' || result.action === 'kept (binary)'
+}
+
+// Pin the exact template and layer versions a project was installed from.
+// Each carries a hash of its content, so a version republished with
+// different content can be told apart, and registry templates record the
+// tarball they came from.
+export async function writeLockfile(projectPath, template, layers = []) {
+  const lock = {
+    lockfileVersion: 1,
+    template: {
+      name: template.name,
+      version: template.version,
+      resolved: template.dist?.tarball || 'bundled',
+      ...(template.dist?.integrity && { integrity: template.dist.integrity }),
+      hash: hashTemplate(template)
+    },
+    layers: Object.fromEntries(layers.map(layer => [layer.name, { version: layer.version, hash: hashTemplate(layer) }]))
+  }
+  await fs.writeJson(path.join(projectPath, LOCK_FILE), lock, { spaces: 2 })
+  return lock
+}
+
+export async function readLockfile(projectPath) {
+  const lockPath = path.join(projectPath, LOCK_FILE)
+  return await fs.pathExists(lockPath) ? fs.readJson(lockPath) : null
+}
+
+// Content hash of a template or layer as published, leaving out where the
+// CLI found it
+export function hashTemplate(template) {
+  const { registry, dist, versions, ...content } = template
+  return 'sha256-' + crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex')
+}
+
+// Bring project files up to date with a new template version. `installed`
+// is the snapshot recorded at install time: untouched files are replaced,
+// edited files are three-way merged against it. `pending` holds the files
+// a dry run of migrations would have moved or rewritten (see runMigrations).
+// Files in `kept` (see getKeptFiles) stay as they are.
+export async function updateTemplateFiles(projectPath, files, installed = {}, { dryRun = false, pending = {}, kept = [] } = {}) {
+  files.forEach(file => resolveFilePath(projectPath, file.path))
+  const results = []
+
+  for (const file of files) {
+    const filePath = resolveFilePath(projectPath, file.path)
+    const base = installed[file.path]
+    const previous = pending[file.path]?.deleted
+      ? null
+      : pending[file.path]?.content ??
+        await readExisting(resolveFilePath(projectPath, pending[file.path]?.from || file.path), file)
+    let result
+
+    if (kept.includes(file.path)) {
+      result = previous === null
+        ? { action: 'deleted locally', content: null }
+        : { action: 'skipped', content: previous }
+    } else if (previous === null) {
+      // A file the template installed that the user removed stays removed
+      result = base
+        ? { action: 'deleted locally', content: null }
+        : { action: 'created', content: file.content }
+    } else if (previous === file.content) {
+      result = { action: 'unchanged', content: previous }
+    } else if (base && hashContent(previous) === base.hash) {
+      result = { action: 'updated', content: file.content }
+    } else if (isBinaryFile(file)) {
+      result = { action: 'kept (binary)', content: previous }
+    } else {
+      const merged = base
+        ? mergeThreeWay(base.content, previous, file.content)
+        : mergeTwoWay(previous, file.content)
+      if (merged.content === previous && !merged.conflicts) {
+        // Nothing to bring in: the template didn't change, or the local edits already cover it
+        result = { action: base?.content === file.content ? 'unchanged' : 'kept local edits', content: previous }
+      } else {
+        result = { action: 'merged', content: merged.content, conflicts: merged.conflicts }
+      }
+    }
+
+    await writeResult(filePath, file, previous, result.content, dryRun)
+    results.push({ path: file.path, previous, ...result, ...(isBinaryFile(file) && { binary: true }) })
+  }
+
+  return results
+}
+
+// Existing content in the same encoding as the template file, so the two compare
+async function readExisting(filePath, file) {
+  if (!await fs.pathExists(filePath)) return null
+  return fs.readFile(filePath, isBinaryFile(file) ? 'base64' : 'utf8')
+}
+
+async function writeResult(filePath, file, previous, content, dryRun) {
+  if (dryRun || content === null || content === previous) return
+  await fs.ensureDir(path.dirname(filePath))
+  await fs.writeFile(filePath, toBuffer({ ...file, content }))
+  if (file.mode) await fs.chmod(filePath, parseInt(file.mode, 8))
+}
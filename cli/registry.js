@@ -0,0 +1,226 @@
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import fetch from 'node-fetch'
+import semver from 'semver'
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { getTemplateChecksum, signTemplate } from './trust.js'
+
+const execFileAsync = promisify(execFile)
+
+// A registry is an index JSON served over HTTP(S) or read from a file:// URL:
+//
+//   {
+//     "templates": [{
+//       "name": "acme-service",
+//       "description": "...",
+//       "tags": ["node"],
+//       "version": "1.1.0",
+//       "versions": {
+//         "1.1.0": { "tarball": "acme-service-1.1.0.tgz", "integrity": "sha512-..." }
+//       }
+//     }]
+//   }
+//
+// Tarball URLs may be relative to the index. Each tarball is a gzipped tar
+// with template.json (and optionally files/) at its root or in a single
+// top-level directory. `integrity` is a Subresource Integrity string.
+// Versions may also carry a `checksum` and `signatures` (see trust.js).
+
+// Metadata copied from index entries, enough to list and search templates
+// without downloading them
+const ENTRY_FIELDS = ['name', 'description', 'version', 'author', 'tags', 'category', 'subcategories']
+// Names as template.schema.json allows them. They become cache directories,
+// so an index listing anything else is not trusted with one.
+const NAME_PATTERN = /^(@[a-z0-9-]+\/)?[a-zA-Z0-9._-]+$/
+const INTEGRITY_ALGORITHMS = ['sha512', 'sha384', 'sha256']
+const FETCH_TIMEOUT = 15000
+
+// URLs pass through; anything else is a path to an index file, relative to `base`
+export function toRegistryUrl(location, base = process.cwd()) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(location) ? location : pathToFileURL(path.resolve(base, location)).href
+}
+
+// Fetch a registry index. Entries come back with the index metadata, their
+// published versions with absolute tarball URLs, and `registry` set to the
+// index URL. Entries without a valid name or any valid version are skipped.
+export async function fetchIndex(url, options = {}) {
+  let index
+  try {
+    index = JSON.parse((await fetchResource(url, options)).toString('utf8'))
+  } catch (error) {
+    throw error instanceof SyntaxError ? new Error(`${url} is not valid JSON: ${error.message}`) : error
+  }
+  if (!Array.isArray(index?.templates)) {
+    throw new Error(`${url} is not a template registry (no "templates" list)`)
+  }
+
+  return index.templates
+    .map(entry => normalizeEntry(entry, url))
+    .filter(Boolean)
+}
+
+// Combine registry indexes, given in priority order. A template name listed
+// by more than one registry comes from the first.
+export function mergeIndexes(indexes) {
+  const templates = new Map()
+  for (const entries of indexes) {
+    for (const entry of entries) {
+      if (!templates.has(entry.name)) templates.set(entry.name, entry)
+    }
+  }
+  return [...templates.values()]
+}
+
+// Read a URL into a buffer. `token` is sent as a bearer token over HTTP(S).
+export async function fetchResource(url, { token } = {}) {
+  if (url.startsWith('file:')) {
+    try {
+      return await fs.readFile(fileURLToPath(url))
+    } catch (error) {
+      throw new Error(`Could not read ${url}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`)
+    }
+  }
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT)
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    })
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`)
+    }
+    return Buffer.from(await response.arrayBuffer())
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? `timed out after ${FETCH_TIMEOUT / 1000}s` : error.message
+    throw new Error(`Could not fetch ${url}: ${reason}`)
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// Check a download against a Subresource Integrity string such as
+// "sha512-<base64>". When several hashes are given, one matching is enough.
+export function verifyIntegrity(buffer, integrity, label) {
+  const hashes = (integrity || '')
+    .split(/\s+/)
+    .map(entry => entry.match(/^(sha\d+)-([A-Za-z0-9+/=]+)$/))
+    .filter(match => match && INTEGRITY_ALGORITHMS.includes(match[1]))
+
+  if (hashes.length === 0) {
+    throw new Error(`${label} has no ${INTEGRITY_ALGORITHMS.join('/')} integrity hash in the registry`)
+  }
+  if (!hashes.some(([, algorithm, digest]) => getIntegrity(buffer, algorithm) === `${algorithm}-${digest}`)) {
+    throw new Error(`Integrity check failed for ${label}: the download does not match the registry's hash`)
+  }
+}
+
+export function getIntegrity(buffer, algorithm = 'sha512') {
+  return `${algorithm}-${crypto.createHash(algorithm).update(buffer).digest('base64')}`
+}
+
+// Unpack a template tarball into `destination`, which must not exist yet.
+// The tarball is unpacked next to it first, so an interrupted download
+// never leaves a half-written template behind.
+export async function extractTemplate(buffer, destination) {
+  const staging = `${destination}.${process.pid}.tmp`
+  await fs.remove(staging)
+  await fs.ensureDir(staging)
+
+  try {
+    const archive = path.join(staging, 'template.tgz')
+    await fs.writeFile(archive, buffer)
+    await runTar(['-xzf', archive, '-C', staging])
+    await fs.remove(archive)
+
+    const root = await findTemplateRoot(staging)
+    if (!root) {
+      throw new Error('tarball does not contain a template.json')
+    }
+    await fs.move(root, destination, { overwrite: true })
+  } finally {
+    await fs.remove(staging)
+  }
+}
+
+// Pack a template, with inheritance resolved and its files inlined, into
+// `<outDir>/<name>-<version>.tgz`. Returns its index entry, with the tarball
+// path relative to `outDir`. With `signingKey` (an ed25519 private key in
+// PEM) the version is signed as `keyId`.
+export async function packTemplate(template, outDir, { signingKey, keyId } = {}) {
+  const { extends: _extends, abstract, registry, dist, versions, ...packed } = template
+  const tarball = `${template.name.replace(/^@/, '').replace('/', '-')}-${template.version}.tgz`
+  const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'cursor-templates-'))
+
+  try {
+    await fs.writeJson(path.join(staging, 'template.json'), packed, { spaces: 2 })
+    await fs.ensureDir(outDir)
+    await runTar(['-czf', path.join(outDir, tarball), '-C', staging, 'template.json'])
+  } finally {
+    await fs.remove(staging)
+  }
+
+  const integrity = getIntegrity(await fs.readFile(path.join(outDir, tarball)))
+  const checksum = getTemplateChecksum(packed)
+  const signatures = signingKey ? [signTemplate(packed, checksum, signingKey, keyId)] : undefined
+  return {
+    ...Object.fromEntries(ENTRY_FIELDS.filter(field => template[field] !== undefined).map(field => [field, template[field]])),
+    versions: { [template.version]: { tarball, integrity, checksum, ...(signatures && { signatures }) } }
+  }
+}
+
+function normalizeEntry(entry, registryUrl) {
+  if (!entry || !isTemplateName(entry.name) || !entry.versions) return null
+
+  const versions = {}
+  for (const [version, dist] of Object.entries(entry.versions)) {
+    if (!semver.valid(version) || typeof dist?.tarball !== 'string') continue
+    versions[version] = {
+      tarball: new URL(dist.tarball, registryUrl).href,
+      integrity: dist.integrity,
+      ...(typeof dist.checksum === 'string' && { checksum: dist.checksum }),
+      ...(Array.isArray(dist.signatures) && { signatures: dist.signatures })
+    }
+  }
+
+  const published = Object.keys(versions)
+  if (published.length === 0) return null
+
+  return {
+    ...Object.fromEntries(ENTRY_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]])),
+    description: entry.description || '',
+    version: versions[entry.version] ? entry.version : semver.rsort(published)[0],
+    versions,
+    registry: registryUrl
+  }
+}
+
+function isTemplateName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name) &&
+    !name.split('/').some(part => part === '.' || part === '..')
+}
+
+async function findTemplateRoot(dir) {
+  if (await fs.pathExists(path.join(dir, 'template.json'))) return dir
+
+  // npm-style tarballs wrap everything in one directory, e.g. package/
+  const entries = await fs.readdir(dir, { withFileTypes: true })
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    return findTemplateRoot(path.join(dir, entries[0].name))
+  }
+  return null
+}
+
+async function runTar(args) {
+  try {
+    await execFileAsync('tar', args)
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'tar is not installed' : (error.stderr || error.message).trim()
+    throw new Error(`tar failed: ${reason}`)
+  }
+}
@@ -0,0 +1,544 @@
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import semver from 'semver'
+import { fileURLToPath } from 'url'
+import { loadTemplate, loadLayer, resolveFilePath } from './files.js'
+import { resolveTemplates } from './inheritance.js'
+import { getRegistriesFor, getScope, USER_CONFIG_FILE } from './config.js'
+import { fetchIndex, mergeIndexes, fetchResource, verifyIntegrity, extractTemplate } from './registry.js'
+import { verifyTemplateContent } from './trust.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const TEMPLATES_DIR = path.join(__dirname, '..', 'templates')
+export const LAYERS_DIR = path.join(__dirname, '..', 'layers')
+export const CACHE_DIR = process.env.CURSOR_TEMPLATES_CACHE ||
+  path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'cursor-templates')
+export const RATINGS_FILE = path.join(__dirname, '..', 'community', 'ratings.json')
+export const CATEGORIES_FILE = path.join(TEMPLATES_DIR, 'categories.json')
+// Where imported templates came from, kept next to the user config rather
+// than in the templates, so editing a template can't erase its record
+export const IMPORTS_FILE = path.join(path.dirname(USER_CONFIG_FILE), 'imports.json')
+
+// Registries are checked for new templates at most this often
+const REGISTRY_MAX_AGE = 24 * 60 * 60 * 1000
+
+// Category definitions, and the tag mapping that places templates without
+// a `category` of their own: the first legacy entry sharing a tag wins
+export async function readCategories(file = CATEGORIES_FILE) {
+  if (!await fs.pathExists(file)) return { categories: {}, legacy: [] }
+
+  const { categories = {}, legacy = [] } = await fs.readJson(file)
+  return { categories, legacy }
+}
+
+// "nextjs-app-router@^1.2.0" or "@acme/service@1.x" -> { name, range }.
+// The range is undefined when none is given.
+export function parseTemplateSpec(spec) {
+  const at = spec.indexOf('@', 1)
+  if (at === -1) return { name: spec, range: undefined }
+
+  const name = spec.slice(0, at)
+  const range = spec.slice(at + 1)
+  if (!semver.validRange(range)) {
+    throw new Error(`Invalid version range "${range}" in ${spec}`)
+  }
+  return { name, range }
+}
+
+// Everything the CLI knows about templates: the templates and layers on
+// disk, categories, the templates published in remote registries and
+// community ratings. Loaded lazily and cached for the life of the instance;
+// call `invalidate` after adding or replacing a template.
+//
+// `registries` come from the user config (see config.js), in priority
+// order. Their indexes are merged into one cached index in `cacheDir`, and
+// templates downloaded from them are kept there too, so listing, searching
+// and installing a template used before all work offline. `trustedKeys`
+// are the public keys template signatures are checked against.
+export class TemplateRepository {
+  constructor({
+    templatesDir = TEMPLATES_DIR,
+    layersDir = LAYERS_DIR,
+    ratingsFile = RATINGS_FILE,
+    categoriesFile = CATEGORIES_FILE,
+    registries = [],
+    cacheDir = CACHE_DIR,
+    registryFile = path.join(cacheDir, 'index.json'),
+    importsFile = IMPORTS_FILE,
+    trustedKeys = {}
+  } = {}) {
+    this.templatesDir = templatesDir
+    this.layersDir = layersDir
+    this.categoriesFile = categoriesFile
+    this.ratingsFile = ratingsFile
+    this.registries = registries
+    this.cacheDir = cacheDir
+    this.registryFile = registryFile
+    this.importsFile = importsFile
+    this.trustedKeys = trustedKeys
+    this.invalidate()
+  }
+
+  invalidate() {
+    this.rawTemplates = null
+    this.localTemplates = null
+    this.templates = null
+    this.layers = null
+    this.categories = null
+    this.registry = null
+  }
+
+  // Templates as written on disk, before `extends` is resolved. Templates
+  // that don't load are skipped with a warning.
+  async getRawTemplates() {
+    this.rawTemplates = this.rawTemplates || this.loadRawTemplates()
+    return this.rawTemplates
+  }
+
+  // Installable templates: inheritance resolved, abstract templates left
+  // out, and every template given a category. Templates from a registry
+  // only carry their index metadata and `registry` until `fetchTemplate`.
+  async getTemplates() {
+    this.templates = this.templates || this.loadTemplates()
+    return this.templates
+  }
+
+  // A complete template by name, downloaded first if it comes from a registry
+  async getTemplate(name, range) {
+    const template = await this.findTemplate(name, range)
+    return template && this.fetchTemplate(template)
+  }
+
+  // An entry from `getTemplates` by name: the latest version, or the newest
+  // matching a semver `range`. Throws when no published version matches.
+  // A scoped name such as "@acme/service" that isn't in the cached index may
+  // have been published since, so its registries are checked again before
+  // giving up.
+  async findTemplate(name, range) {
+    const find = async () => (await this.getTemplates()).find(entry => entry.name === name)
+    const scope = getScope(name)
+
+    if (scope && getRegistriesFor(this.registries, name).length === 0) {
+      throw new Error(`No registry is configured for ${scope}/*. Add one to ${USER_CONFIG_FILE} or .cursortemplatesrc`)
+    }
+
+    let template = await find()
+    if (!template && scope) {
+      await this.updateRegistry()
+      template = await find()
+    }
+    if (!template || !range) return template
+
+    const versions = await this.getTemplateVersions(name)
+    const match = versions.find(entry => semver.satisfies(entry.version, range))
+    if (!match) {
+      throw new Error(`No version of ${name} matches ${range} (available: ${versions.map(entry => entry.version).join(', ')})`)
+    }
+    return match
+  }
+
+  // Every version of a template that can be installed, newest first: the
+  // bundled one and those published to a registry. Each is an entry for
+  // `fetchTemplate`.
+  async getTemplateVersions(name) {
+    const [local, registry] = await Promise.all([this.getLocalTemplates(), this.getRegistry()])
+    const versions = new Map()
+
+    const published = registry.templates.find(entry => entry.name === name)
+    for (const version of Object.keys(published?.versions || {})) {
+      versions.set(version, { ...published, version })
+    }
+
+    // The bundled copy of a published version saves a download
+    const bundled = local.find(template => template.name === name)
+    if (bundled) versions.set(bundled.version, bundled)
+
+    return [...versions.values()].sort((a, b) => semver.rcompare(a.version, b.version))
+  }
+
+  // The complete template for an entry from `getTemplates`. Registry
+  // templates are downloaded into the cache on first use, checked against
+  // the index's integrity hash, and read from the cache after that.
+  async fetchTemplate(template) {
+    if (!template.registry) return template
+
+    const label = `${template.name}@${template.version}`
+    const dir = this.getCachedTemplateDir(template)
+    const dist = template.versions[template.version]
+    if (!await fs.pathExists(path.join(dir, 'template.json'))) {
+      // The registry's token is only sent to the registry's own host
+      const registry = this.registries.find(entry => entry.url === template.registry)
+      const sameOrigin = registry && new URL(dist.tarball).origin === new URL(registry.url).origin
+      const tarball = await fetchResource(dist.tarball, { token: sameOrigin ? registry.token : undefined })
+      verifyIntegrity(tarball, dist.integrity, label)
+      await extractTemplate(tarball, dir)
+    }
+
+    let raw
+    try {
+      raw = await loadTemplate(dir)
+    } catch (error) {
+      throw new Error(`Could not load ${label} from ${template.registry}: ${error.message}`)
+    }
+
+    // The tarball must hold the version the index lists, or it would be
+    // cached and verified as one version but installed as another
+    if (raw.name !== template.name || raw.version !== template.version) {
+      await fs.remove(dir)
+      throw new Error(`The tarball for ${label} from ${template.registry} contains ${raw.name}@${raw.version}`)
+    }
+
+    // Registry templates may extend the bundled ones
+    const local = (await this.getRawTemplates()).filter(entry => entry.name !== raw.name)
+    const { templates, errors } = resolveTemplates([...local, raw])
+    const error = errors.find(entry => entry.template === raw.name)
+    if (error) {
+      throw new Error(`Could not resolve ${label}: ${error.message}`)
+    }
+
+    const { legacy } = await this.getCategories()
+    const resolved = templates.find(entry => entry.name === raw.name)
+    return {
+      ...resolved,
+      ...(!resolved.category && getLegacyCategory(resolved, legacy)),
+      registry: template.registry,
+      dist
+    }
+  }
+
+  // Check where a template came from before it runs anything: registry
+  // templates against the checksum and signatures in the index, imported
+  // ones against their import record (see trust.js). The content checked is
+  // the template as published, before inheritance. Templates bundled with
+  // the CLI or created locally are trusted as they are; one that says it
+  // was imported but has no record is not.
+  async verifyTemplate(template) {
+    if (template.registry) {
+      const raw = await loadTemplate(this.getCachedTemplateDir(template))
+      return verifyTemplateContent(raw, template.dist, this.trustedKeys)
+    }
+
+    const raw = (await this.getRawTemplates()).find(entry => entry.name === template.name)
+    const imported = (await this.readImports())[template.name]
+    if (imported) return verifyTemplateContent(raw || template, imported, this.trustedKeys)
+    if (raw?.source) return { status: 'unsigned', reason: 'was imported, but has no import record on this machine' }
+    return { status: 'local' }
+  }
+
+  // Import records of the templates in this templates directory, by name:
+  // { type, url, ref?, commit, checksum, signatures? }
+  async readImports() {
+    const imports = await fs.pathExists(this.importsFile) ? await fs.readJson(this.importsFile) : {}
+    return imports[path.resolve(this.templatesDir)] || {}
+  }
+
+  async recordImport(name, source) {
+    const imports = await fs.pathExists(this.importsFile) ? await fs.readJson(this.importsFile) : {}
+    const key = path.resolve(this.templatesDir)
+    imports[key] = { ...imports[key], [name]: source }
+    await fs.outputJson(this.importsFile, imports, { spaces: 2 })
+  }
+
+  getCachedTemplateDir(template) {
+    return resolveFilePath(path.join(this.cacheDir, 'templates'), path.join(template.name, template.version), {
+      label: 'Template',
+      within: 'the cache'
+    })
+  }
+
+  async getLayers() {
+    this.layers = this.layers || this.loadLayers()
+    return this.layers
+  }
+
+  // Layers named on the command line or in metadata, in the order given
+  async selectLayers(names = []) {
+    if (names.length === 0) return []
+
+    const layers = await this.getLayers()
+    return names.map(name => {
+      const layer = layers.find(l => l.name === name)
+      if (!layer) {
+        throw new Error(`Layer "${name}" not found`)
+      }
+      return layer
+    })
+  }
+
+  async getCategories() {
+    this.categories = this.categories || readCategories(this.categoriesFile)
+    return this.categories
+  }
+
+  // Templates in a category, given as "<category>" or "<category>/<subcategory>"
+  async filterByCategory(templates, filter) {
+    const [category, subcategory] = filter.toLowerCase().split('/')
+    const { categories } = await this.getCategories()
+    if (!categories[category]) {
+      throw new Error(`Unknown category "${category}". Use one of: ${Object.keys(categories).join(', ')}`)
+    }
+
+    return templates.filter(template =>
+      template.category === category &&
+      (!subcategory || (template.subcategories || []).includes(subcategory))
+    )
+  }
+
+  // Templates grouped by category label, in the order of categories.json.
+  // Templates in an unknown category or none go under "Other".
+  async groupByCategory(templates) {
+    const { categories } = await this.getCategories()
+    const groups = Object.fromEntries(Object.values(categories).map(({ label }) => [label, []]))
+    groups.Other = []
+
+    for (const template of templates) {
+      groups[categories[template.category]?.label || 'Other'].push(template)
+    }
+
+    // Remove empty groups
+    return Object.fromEntries(Object.entries(groups).filter(([_, entries]) => entries.length > 0))
+  }
+
+  // The cached, merged index of the configured registries. It is refreshed
+  // when a registry was last checked more than a day ago; a registry that
+  // can't be reached keeps its cached entries.
+  async getRegistry() {
+    this.registry = this.registry || this.loadRegistry()
+    return this.registry
+  }
+
+  // Fetch every configured registry and rewrite the cached index. Each
+  // entry in `registries` has the error for a registry that failed.
+  // Templates outside the names a registry may serve are dropped.
+  async updateRegistry() {
+    const previous = await this.readRegistryFile()
+    const checkedAt = new Date().toISOString()
+
+    const results = await Promise.all(this.registries.map(async registry => {
+      const { url, token, tokenVariable } = registry
+      const cached = previous.registries.find(entry => entry.url === url)
+      try {
+        const templates = (await fetchIndex(url, { token }))
+          .filter(entry => getRegistriesFor(this.registries, entry.name).includes(registry))
+        return { url, updatedAt: checkedAt, checkedAt, templates }
+      } catch (error) {
+        return {
+          url,
+          updatedAt: cached?.updatedAt,
+          checkedAt,
+          error: tokenVariable && !token ? `${error.message} (${tokenVariable} is not set)` : error.message,
+          templates: previous.templates.filter(entry => entry.registry === url)
+        }
+      }
+    }))
+
+    const registry = {
+      registries: results.map(({ templates, ...result }) => ({ ...result, templates: templates.length })),
+      templates: mergeIndexes(results.map(result => result.templates))
+    }
+    await fs.outputJson(this.registryFile, registry, { spaces: 2 })
+
+    this.registry = Promise.resolve(registry)
+    this.templates = null
+    return registry
+  }
+
+  // Community ratings, plus the featured and trending template names
+  async getRatings() {
+    try {
+      if (await fs.pathExists(this.ratingsFile)) {
+        return await fs.readJson(this.ratingsFile)
+      }
+    } catch (error) {
+      console.warn(chalk.yellow('Warning: Could not load ratings'))
+    }
+
+    return {
+      templates: {},
+      featured: [],
+      trending: []
+    }
+  }
+
+  async addRating(templateName, rating, comment) {
+    try {
+      await fs.ensureDir(path.dirname(this.ratingsFile))
+
+      const ratings = await this.getRatings()
+
+      if (!ratings.templates[templateName]) {
+        ratings.templates[templateName] = {
+          rating: 0,
+          votes: 0,
+          reviews: []
+        }
+      }
+
+      const template = ratings.templates[templateName]
+
+      // Simple rating calculation (could be more sophisticated)
+      const newTotal = (template.rating * template.votes) + rating
+      template.votes += 1
+      template.rating = Math.round((newTotal / template.votes) * 10) / 10
+
+      if (comment) {
+        template.reviews.push({
+          user: 'anonymous', // In real app, would use actual user
+          rating,
+          comment,
+          date: new Date().toISOString()
+        })
+      }
+
+      await fs.writeJson(this.ratingsFile, ratings, { spaces: 2 })
+    } catch (error) {
+      throw new Error(`Failed to add rating: ${error.message}`)
+    }
+  }
+
+  async getFeaturedTemplates() {
+    return this.getListedTemplates('featured')
+  }
+
+  async getTrendingTemplates() {
+    return this.getListedTemplates('trending')
+  }
+
+  // Templates named in a ratings.json list, in the list's order
+  async getListedTemplates(list) {
+    const [templates, ratings] = await Promise.all([this.getTemplates(), this.getRatings()])
+    return (ratings[list] || [])
+      .map(name => templates.find(template => template.name === name))
+      .filter(Boolean)
+  }
+
+  // Bundled templates, replaced by a registry's when it publishes a newer
+  // version under the same name
+  async loadTemplates() {
+    const [local, { legacy }, registry] = await Promise.all([
+      this.getLocalTemplates(),
+      this.getCategories(),
+      this.getRegistry()
+    ])
+    const remote = registry.templates
+      .filter(entry => {
+        const bundled = local.find(template => template.name === entry.name)
+        return !bundled || isNewer(entry.version, bundled.version)
+      })
+      .map(entry => entry.category ? entry : { ...entry, ...getLegacyCategory(entry, legacy) })
+
+    return [...local.filter(template => !remote.some(entry => entry.name === template.name)), ...remote]
+  }
+
+  // The bundled templates, resolved
+  async getLocalTemplates() {
+    this.localTemplates = this.localTemplates || this.loadLocalTemplates()
+    return this.localTemplates
+  }
+
+  async loadLocalTemplates() {
+    const [templates, { legacy }] = await Promise.all([this.getRawTemplates(), this.getCategories()])
+    const { templates: resolved, errors } = resolveTemplates(templates)
+    for (const error of errors) {
+      console.warn(chalk.yellow(`Warning: Could not resolve template ${error.template}: ${error.message}`))
+    }
+
+    // Abstract templates only exist to be extended
+    return resolved
+      .filter(template => !template.abstract)
+      .map(template => template.category ? template : { ...template, ...getLegacyCategory(template, legacy) })
+  }
+
+  async loadRegistry() {
+    const cached = await this.readRegistryFile()
+    const stale = this.registries.some(({ url }) => {
+      const entry = cached.registries.find(registry => registry.url === url)
+      return !entry || Date.now() - Date.parse(entry.checkedAt) > REGISTRY_MAX_AGE
+    })
+    if (!stale) return cached
+
+    let registry
+    try {
+      registry = await this.updateRegistry()
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not update the registry cache: ${error.message}`))
+      return cached
+    }
+    for (const { url, error, updatedAt } of registry.registries.filter(entry => entry.error)) {
+      const fallback = updatedAt ? `using the index cached on ${updatedAt.slice(0, 10)}` : 'no cached index'
+      console.warn(chalk.yellow(`Warning: Could not refresh registry ${url} (${fallback}): ${error}`))
+    }
+    return registry
+  }
+
+  // The cached index, limited to the registries still configured
+  async readRegistryFile() {
+    let registry = {}
+    try {
+      if (await fs.pathExists(this.registryFile)) {
+        registry = await fs.readJson(this.registryFile)
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Ignoring unreadable registry cache ${this.registryFile}`))
+    }
+
+    const configured = url => this.registries.some(registry => registry.url === url)
+    return {
+      registries: (registry.registries || []).filter(entry => configured(entry.url)),
+      templates: (registry.templates || []).filter(entry => configured(entry.registry))
+    }
+  }
+
+  async loadRawTemplates() {
+    const templateDirs = await fs.readdir(this.templatesDir)
+    const templates = []
+
+    for (const dir of templateDirs) {
+      const templatePath = path.join(this.templatesDir, dir, 'template.json')
+      if (await fs.pathExists(templatePath)) {
+        try {
+          templates.push(await loadTemplate(path.join(this.templatesDir, dir)))
+        } catch (error) {
+          console.warn(chalk.yellow(`Warning: Could not load template from ${dir}: ${error.message}`))
+        }
+      }
+    }
+
+    return templates
+  }
+
+  async loadLayers() {
+    if (!await fs.pathExists(this.layersDir)) return []
+
+    const layerDirs = await fs.readdir(this.layersDir)
+    const layers = []
+
+    for (const dir of layerDirs) {
+      const layerPath = path.join(this.layersDir, dir, 'layer.json')
+      if (await fs.pathExists(layerPath)) {
+        try {
+          layers.push(await loadLayer(layerPath))
+        } catch (error) {
+          console.warn(chalk.yellow(`Warning: Could not load layer from ${dir}: ${error.message}`))
+        }
+      }
+    }
+
+    return layers
+  }
+}
+
+function getLegacyCategory(template, legacy) {
+  const tags = (template.tags || []).map(tag => tag.toLowerCase())
+  const entry = legacy.find(({ tags: categoryTags }) => categoryTags.some(tag => tags.includes(tag)))
+  return entry ? { category: entry.category } : {}
+}
+
+// True only when both versions are valid semver and the first is greater.
+export function isNewer(newVersion, currentVersion) {
+  return Boolean(semver.valid(newVersion) && semver.valid(currentVersion) && semver.gt(newVersion, currentVersion))
+}
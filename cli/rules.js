@@ -0,0 +1,126 @@
+export const CURSOR_RULES_PATH = '.cursorrules'
+export const CURSOR_RULES_DIR = '.cursor/rules'
+export const RULES_FORMATS = ['legacy', 'mdc', 'both']
+
+// Build the .cursorrules content from a template's structured `rules` block.
+// `rules.appendix` holds hand-written guidance (code examples, file layouts)
+// that doesn't fit the structured fields and is appended verbatim.
+export function renderCursorRules(template) {
+  const rules = template.rules || {}
+  const sections = [`# ${getRulesTitle(rules, template.name)}`, ...renderRuleSections(rules)]
+
+  // Legacy output has no scoping, so glob-scoped sets become plain sections
+  for (const ruleSet of template.ruleSets || []) {
+    sections.push(`# ${getRulesTitle(ruleSet.rules, ruleSet.name)}`)
+    if (ruleSet.globs?.length > 0) {
+      sections.push(`Applies to: ${ruleSet.globs.map(glob => `\`${glob}\``).join(', ')}`)
+    }
+    sections.push(...renderRuleSections(ruleSet.rules))
+  }
+
+  return sections.join('\n\n') + '\n'
+}
+
+// Build a Cursor project rule (.mdc) with its frontmatter
+export function renderMdcRule({ description, globs = [], alwaysApply = false }, rules, fallbackTitle) {
+  const frontmatter = [
+    '---',
+    `description: ${description || ''}`,
+    `globs: ${globs.join(', ')}`,
+    `alwaysApply: ${alwaysApply}`,
+    '---'
+  ]
+  const sections = [`# ${getRulesTitle(rules, fallbackTitle)}`, ...renderRuleSections(rules)]
+
+  return frontmatter.join('\n') + '\n\n' + sections.join('\n\n') + '\n'
+}
+
+// Files to write into a project. A hand-written .cursorrules entry in
+// `files` is still honoured for older templates; otherwise it is rendered.
+export function getTemplateFiles(template, { rulesFormat = 'legacy' } = {}) {
+  if (!RULES_FORMATS.includes(rulesFormat)) {
+    throw new Error(`Unknown rules format "${rulesFormat}". Use one of: ${RULES_FORMATS.join(', ')}`)
+  }
+
+  const files = template.files || []
+  const ruleFiles = []
+
+  if (!template.rules || hasHandWrittenRules(template)) {
+    return files
+  }
+
+  if (rulesFormat !== 'mdc') {
+    ruleFiles.push({ path: CURSOR_RULES_PATH, content: renderCursorRules(template) })
+  }
+
+  if (rulesFormat !== 'legacy') {
+    ruleFiles.push({
+      // Scoped names such as @acme/service become acme-service.mdc
+      path: `${CURSOR_RULES_DIR}/${template.name.replace(/^@/, '').replace('/', '-')}.mdc`,
+      content: renderMdcRule(
+        { description: template.description, alwaysApply: true },
+        template.rules,
+        template.name
+      )
+    })
+
+    for (const ruleSet of template.ruleSets || []) {
+      ruleFiles.push({
+        path: `${CURSOR_RULES_DIR}/${ruleSet.name}.mdc`,
+        content: renderMdcRule(ruleSet, ruleSet.rules, ruleSet.name)
+      })
+    }
+  }
+
+  return [...ruleFiles, ...files]
+}
+
+// Templates that ship their own .cursorrules get it as is, whatever the rules format
+export function hasHandWrittenRules(template) {
+  return (template.files || []).some(file => file.path === CURSOR_RULES_PATH)
+}
+
+function getRulesTitle(rules = {}, fallback) {
+  return rules.title || `${rules.style?.framework || fallback} Development Rules`
+}
+
+function renderRuleSections(rules = {}) {
+  const style = rules.style || {}
+  const sections = []
+
+  if (rules.context) {
+    sections.push(rules.context.trim())
+  }
+
+  const stack = []
+  if (style.language) stack.push(`- Language: ${style.language}`)
+  if (style.framework) stack.push(`- Framework: ${style.framework}`)
+  if (stack.length > 0) {
+    sections.push(['## Stack', ...stack].join('\n'))
+  }
+
+  const lists = [
+    ['Conventions', style.conventions],
+    ['Preferences', rules.preferences],
+    ['Avoid', rules.restrictions]
+  ]
+
+  for (const [heading, items] of lists) {
+    if (items && items.length > 0) {
+      sections.push([`## ${heading}`, ...items.map(item => `- ${getEntryText(item)}`)].join('\n'))
+    }
+  }
+
+  // The appendix is a string, or a list of sections that may carry `when` conditions
+  const appendix = [].concat(rules.appendix || []).map(getEntryText).filter(Boolean)
+  if (appendix.length > 0) {
+    sections.push(appendix.map(section => section.trim()).join('\n\n'))
+  }
+
+  return sections
+}
+
+// Rule entries are plain strings or `{ text, when }` objects
+function getEntryText(entry) {
+  return typeof entry === 'string' ? entry : entry.text
+}
@@ -0,0 +1,239 @@
+import { spawn } from 'child_process'
+import { PACKAGE_MANAGERS } from './variables.js'
+
+// Framework scaffolders download a lot; give them time, but not forever
+export const DEFAULT_TIMEOUT = 10 * 60 * 1000
+
+// Lines of output kept for the error message when a quiet command fails
+const OUTPUT_LINES = 20
+
+// Characters that only mean something to a shell. Commands using them are
+// run through one; everything else is split into arguments and spawned
+// directly, so template values can't inject shell syntax.
+const SHELL_CHARACTERS = '|;&<>$`(){}*?\n'
+
+// Builtins change the shell they run in, so a chain using them
+// (`cd app && npm install`) is rewritten step by step but run in one shell
+const SHELL_BUILTINS = ['cd', 'export', 'source', '.', 'set', 'unset', 'alias', 'pushd', 'popd', 'eval', 'exec']
+
+// Turn a template command into the steps to run. Simple commands, and
+// chains of them joined by &&, are split into argument lists and rewritten
+// for `packageManager`; `display` is the command exactly as it will run.
+// Commands that need a shell are run as they are, with a `warning` when
+// that means an npm command is not rewritten.
+export function prepareCommand(command, { packageManager = 'npm' } = {}) {
+  const steps = parseCommand(command)
+  if (!steps) {
+    const warning = packageManager !== 'npm' && /(^|[^\w-])(npm|npx)\s/.test(command)
+      ? `needs a shell, so it is run as written and not rewritten for ${packageManager}`
+      : undefined
+    return { shell: true, steps: [[command]], display: command, ...(warning && { warning }) }
+  }
+
+  const rewritten = steps.map(argv => rewriteForPackageManager(argv, packageManager))
+  const display = rewritten.map(formatArgv).join(' && ')
+  if (steps.some(([program]) => SHELL_BUILTINS.includes(program))) {
+    return { shell: true, steps: [[display]], display }
+  }
+  return { shell: false, steps: rewritten, display }
+}
+
+// Run a command (a string, or the result of prepareCommand) in `cwd`. With
+// `verbose` its output streams to the terminal and it can prompt; otherwise
+// output is kept quiet and only shown when it fails. Each step is stopped
+// after `timeout` ms, and Ctrl-C stops it and rejects with `cancelled` set.
+export async function runCommand(command, { cwd = process.cwd(), packageManager, verbose = false, timeout = DEFAULT_TIMEOUT } = {}) {
+  const prepared = typeof command === 'string' ? prepareCommand(command, { packageManager }) : command
+
+  for (const argv of prepared.steps) {
+    await runStep(argv, { cwd, shell: prepared.shell, verbose, timeout })
+  }
+  return prepared
+}
+
+// Rewrite an npm or npx invocation for another package manager:
+//   npm install            -> pnpm install
+//   npm install -D vitest  -> pnpm add -D vitest
+//   npm run dev, npm test  -> pnpm run dev, pnpm test
+//   npm create vite@latest app -- --template vue-ts -> pnpm create vite app --template vue-ts
+//   npx create-next-app@latest app -> pnpm create next-app app
+//   npx prisma generate    -> pnpm dlx prisma generate
+// yarn 1 has no `dlx`, so other npx and npm exec calls stay as they are for
+// yarn. Anything else is left alone.
+export function rewriteForPackageManager(argv, packageManager = 'npm') {
+  if (!PACKAGE_MANAGERS.includes(packageManager)) {
+    throw new Error(`Unknown package manager "${packageManager}". Use one of: ${PACKAGE_MANAGERS.join(', ')}`)
+  }
+  if (packageManager === 'npm') return argv
+
+  const [program, subcommand, ...rest] = argv
+  const pm = packageManager
+
+  if (program === 'npx') {
+    const args = argv.slice(1).filter(arg => arg !== '-y' && arg !== '--yes')
+    const [pkg, ...pkgArgs] = args
+    if (!pkg) return argv
+
+    const creator = pkg.match(/^create-(.+?)(@latest)?$/)
+    if (creator) return [pm, 'create', creator[1], ...pkgArgs]
+    if (pm === 'yarn') return argv
+    return pm === 'bun' ? ['bunx', ...args] : [pm, 'dlx', ...args]
+  }
+
+  if (program !== 'npm') return argv
+
+  switch (subcommand) {
+    case 'install':
+    case 'i':
+    case 'add': {
+      const packages = rest.filter(arg => !arg.startsWith('-'))
+      if (packages.length === 0) return [pm, 'install', ...rest]
+      const flags = rest.map(arg => arg === '--save-dev' || arg === '-D' ? (pm === 'bun' ? '--dev' : '-D') : arg)
+      return [pm, 'add', ...flags]
+    }
+    case 'ci':
+      return pm === 'yarn'
+        ? ['yarn', 'install', '--frozen-lockfile']
+        : [pm, 'install', '--frozen-lockfile']
+    case 'run':
+    case 'run-script':
+      return [pm, 'run', ...rest]
+    case 'start':
+    case 'test':
+      // `bun test` is bun's own test runner, not the package.json script
+      return pm === 'bun' ? ['bun', 'run', subcommand, ...rest] : [pm, subcommand, ...rest]
+    case 'init':
+    case 'create': {
+      // `npm init` without an initializer writes a package.json
+      const [initializer, ...args] = rest
+      if (!initializer || initializer.startsWith('-')) {
+        return pm === 'pnpm' ? ['pnpm', 'init'] : [pm, 'init', ...rest]
+      }
+      // npm needs `--` before the initializer's own options; the others don't
+      return [pm, 'create', initializer.replace(/@latest$/, ''), ...args.filter(arg => arg !== '--')]
+    }
+    case 'exec':
+      if (pm === 'yarn') return argv
+      return pm === 'bun' ? ['bunx', ...rest.filter(arg => arg !== '--')] : [pm, 'exec', ...rest]
+    default:
+      return argv
+  }
+}
+
+// Split a command line into argument lists, one per step of an && chain.
+// Handles quoting and backslash escapes; returns null when the command
+// uses anything else a shell would interpret.
+function parseCommand(command) {
+  const steps = [[]]
+  let current = null
+  let quote = null
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i]
+
+    if (quote === "'") {
+      if (char === "'") quote = null
+      else current += char
+      continue
+    }
+    if (quote === '"') {
+      if (char === '"') quote = null
+      else if (char === '$' || char === '`') return null
+      else if (char === '\\' && /["\\]/.test(command[i + 1] || '')) current += command[++i]
+      else current += char
+      continue
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char
+      current = current ?? ''
+    } else if (char === '\\') {
+      current = (current ?? '') + (command[++i] ?? '')
+    } else if (/\s/.test(char)) {
+      if (current !== null) steps[steps.length - 1].push(current)
+      current = null
+    } else if (char === '&' && command[i + 1] === '&') {
+      if (current !== null) steps[steps.length - 1].push(current)
+      if (steps[steps.length - 1].length === 0) return null
+      steps.push([])
+      current = null
+      i++
+    } else if (SHELL_CHARACTERS.includes(char) || (current === null && (char === '~' || char === '#'))) {
+      return null
+    } else {
+      current = (current ?? '') + char
+    }
+  }
+
+  if (quote) return null
+  if (current !== null) steps[steps.length - 1].push(current)
+
+  // Environment assignments (FOO=bar cmd) need a shell too
+  if (steps.some(argv => argv.length === 0 || /^[A-Za-z_][A-Za-z0-9_]*=/.test(argv[0]))) return null
+  return steps
+}
+
+function formatArgv(argv) {
+  return argv.map(arg => /^[\w@%+=:,./[\]-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`).join(' ')
+}
+
+function runStep(argv, { cwd, shell, verbose, timeout }) {
+  const [program, ...args] = argv
+  const label = shell ? program : formatArgv(argv)
+
+  return new Promise((resolve, reject) => {
+    // npm, npx and friends are .cmd scripts on Windows, which only a shell can start
+    const child = spawn(program, args, {
+      cwd,
+      shell: shell || process.platform === 'win32',
+      stdio: verbose ? 'inherit' : ['ignore', 'pipe', 'pipe']
+    })
+
+    const output = []
+    const collect = chunk => {
+      output.push(...chunk.toString().split('\n').filter(line => line.trim()))
+      output.splice(0, Math.max(0, output.length - OUTPUT_LINES))
+    }
+    child.stdout?.on('data', collect)
+    child.stderr?.on('data', collect)
+
+    let stopped = null
+    const stop = reason => {
+      if (stopped) return
+      stopped = reason
+      child.kill('SIGTERM')
+      // Scaffolders that ignore SIGTERM are killed for good
+      setTimeout(() => child.exitCode === null && child.kill('SIGKILL'), 5000).unref()
+    }
+    const timer = setTimeout(() => stop('timeout'), timeout)
+    const onInterrupt = () => stop('cancelled')
+    process.on('SIGINT', onInterrupt)
+
+    const finish = error => {
+      clearTimeout(timer)
+      process.off('SIGINT', onInterrupt)
+      if (error) {
+        const tail = output.join('\n').trim()
+        if (tail) error.output = tail
+        reject(error)
+      } else {
+        resolve()
+      }
+    }
+
+    child.on('error', error => {
+      finish(new Error(error.code === 'ENOENT' ? `${program} is not installed or not on your PATH` : error.message))
+    })
+    child.on('close', (code, signal) => {
+      if (stopped === 'timeout') {
+        finish(new Error(`${label} timed out after ${Math.round(timeout / 1000)}s`))
+      } else if (stopped === 'cancelled') {
+        finish(Object.assign(new Error(`${label} was cancelled`), { cancelled: true }))
+      } else if (code !== 0) {
+        finish(new Error(`${label} ${signal ? `was stopped by ${signal}` : `exited with code ${code}`}`))
+      } else {
+        finish()
+      }
+    })
+  })
+}
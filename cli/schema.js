@@ -0,0 +1,207 @@
+import Ajv from 'ajv'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const SCHEMA_PATH = path.join(__dirname, '..', 'templates', 'template.schema.json')
+
+let schema = null
+let validator = null
+let layerValidator = null
+
+// Validate parsed template JSON against templates/template.schema.json.
+// Each error has a JSON pointer into the template and, when the source
+// text is given, the line and column it points at.
+export function validateTemplateSchema(template, source) {
+  validator = validator || new Ajv({ allErrors: true }).compile(getSchema())
+  return getSchemaErrors(validator, template, source)
+}
+
+// Validate parsed layer.json the same way, against the layer schema
+export function validateLayerSchema(layer, source) {
+  layerValidator = layerValidator || new Ajv({ allErrors: true }).compile(getLayerSchema(getSchema()))
+  return getSchemaErrors(layerValidator, layer, source)
+}
+
+// Read and validate a template.json, reporting JSON syntax errors with their
+// position as well. Returns the parsed template (null if it doesn't parse).
+export async function validateTemplateFile(filePath) {
+  const { value, errors } = await validateFile(filePath, validateTemplateSchema)
+  return { template: value, errors }
+}
+
+// Read and validate a layer.json, like validateTemplateFile
+export async function validateLayerFile(filePath) {
+  const { value, errors } = await validateFile(filePath, validateLayerSchema)
+  return { layer: value, errors }
+}
+
+// e.g. "templates/nextjs/template.json:12:7 /rules/style/language must be string"
+export function formatSchemaError(error, file) {
+  const location = error.line ? `${file}:${error.line}:${error.column}` : file
+  return `${location} ${error.pointer || '/'} ${error.message}`
+}
+
+function getSchema() {
+  schema = schema || fs.readJsonSync(SCHEMA_PATH)
+  return schema
+}
+
+// Layers are built from the template schema's parts, less what only
+// scaffolding uses. extends, hooks and commands are accepted so validation
+// can warn that they are ignored.
+function getLayerSchema(templateSchema) {
+  const { properties } = templateSchema
+  return {
+    title: 'Cursor Templates layer',
+    type: 'object',
+    required: ['name', 'description', 'version'],
+    additionalProperties: false,
+    properties: {
+      $schema: properties.$schema,
+      name: { type: 'string', pattern: '^[a-z0-9-]+$', description: 'Layer name, as passed to --layer' },
+      description: properties.description,
+      version: properties.version,
+      author: properties.author,
+      tags: properties.tags,
+      rules: properties.rules,
+      ruleSets: properties.ruleSets,
+      variables: properties.variables,
+      files: properties.files,
+      extends: properties.extends,
+      hooks: properties.hooks,
+      commands: properties.commands
+    },
+    definitions: templateSchema.definitions
+  }
+}
+
+function getSchemaErrors(validator, value, source) {
+  if (validator(value)) return []
+
+  const positions = source ? getJsonPositions(source) : new Map()
+  const branchErrors = validator.errors.filter(error => error.keyword === 'oneOf')
+
+  return validator.errors
+    // Failures inside a oneOf branch or a property name check are
+    // summarised by the oneOf or propertyNames error itself
+    .filter(error => !error.propertyName && !branchErrors.some(oneOf =>
+      error !== oneOf && error.schemaPath.startsWith(oneOf.schemaPath.replace(/\/oneOf$/, '/oneOf/'))
+    ))
+    .map(error => toSchemaError(error, positions))
+    .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0))
+}
+
+// `value` is null when the file isn't valid JSON
+async function validateFile(filePath, validate) {
+  const source = await fs.readFile(filePath, 'utf8')
+
+  let value
+  try {
+    value = JSON.parse(source)
+  } catch (error) {
+    const offset = Number(error.message.match(/position (\d+)/)?.[1])
+    const position = Number.isNaN(offset) ? {} : getPosition(source, offset)
+    return { value: null, errors: [{ pointer: '', message: error.message, ...position }] }
+  }
+
+  return { value, errors: validate(value, source) }
+}
+
+function toSchemaError(error, positions) {
+  let pointer = error.instancePath
+  let message = error.message
+  let position = positions.get(pointer)?.value
+
+  if (error.keyword === 'additionalProperties') {
+    pointer = `${pointer}/${escapePointer(error.params.additionalProperty)}`
+    message = 'is not a known property'
+    position = positions.get(pointer)?.key
+  } else if (error.keyword === 'required') {
+    message = `is missing required property "${error.params.missingProperty}"`
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`
+  } else if (error.keyword === 'pattern' && error.params.pattern === schema.definitions.relativePath.pattern) {
+    message = 'must be a relative path inside the project'
+  } else if (error.keyword === 'oneOf') {
+    message = 'does not match any of the allowed forms'
+  } else if (error.keyword === 'propertyNames') {
+    pointer = `${pointer}/${escapePointer(error.params.propertyName)}`
+    message = 'is not a valid name'
+    position = positions.get(pointer)?.key
+  }
+
+  return { pointer, message, ...position }
+}
+
+// Map each JSON pointer in `source` to the line and column where its value
+// starts, and for object members where the key starts
+function getJsonPositions(source) {
+  const positions = new Map()
+  let index = 0
+
+  const skipWhitespace = () => {
+    while (/\s/.test(source[index])) index++
+  }
+
+  const readString = () => {
+    const start = index++
+    while (index < source.length && source[index] !== '"') {
+      index += source[index] === '\\' ? 2 : 1
+    }
+    index++
+    return JSON.parse(source.slice(start, index))
+  }
+
+  const readValue = (pointer) => {
+    skipWhitespace()
+    positions.set(pointer, { ...positions.get(pointer), value: getPosition(source, index) })
+
+    if (source[index] === '{') {
+      index++
+      skipWhitespace()
+      while (index < source.length && source[index] !== '}') {
+        const keyStart = index
+        const child = `${pointer}/${escapePointer(readString())}`
+        positions.set(child, { key: getPosition(source, keyStart) })
+        skipWhitespace()
+        index++ // :
+        readValue(child)
+        skipWhitespace()
+        if (source[index] === ',') index++
+        skipWhitespace()
+      }
+      index++
+    } else if (source[index] === '[') {
+      index++
+      skipWhitespace()
+      for (let item = 0; index < source.length && source[index] !== ']'; item++) {
+        readValue(`${pointer}/${item}`)
+        skipWhitespace()
+        if (source[index] === ',') index++
+        skipWhitespace()
+      }
+      index++
+    } else if (source[index] === '"') {
+      readString()
+    } else {
+      while (index < source.length && !/[\s,\]}]/.test(source[index])) index++
+    }
+  }
+
+  readValue('')
+  return positions
+}
+
+function getPosition(source, offset) {
+  const before = source.slice(0, offset)
+  const line = before.split('\n').length
+  return { line, column: offset - before.lastIndexOf('\n') }
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
@@ -0,0 +1,133 @@
+// Fields a query is matched against, most telling first
+const SEARCH_FIELDS = [
+  { field: 'name', weight: 3, getText: template => [template.name] },
+  { field: 'tags', weight: 2.5, getText: template => template.tags || [] },
+  { field: 'framework', weight: 2, getText: template => [template.rules?.style?.framework] },
+  { field: 'description', weight: 1.5, getText: template => [template.description] },
+  { field: 'context', weight: 1, getText: template => [template.rules?.context] }
+]
+
+const MAX_WEIGHT = Math.max(...SEARCH_FIELDS.map(({ weight }) => weight))
+
+// How well a field term matches a query term
+const MATCH_SCORES = { exact: 1, prefix: 0.8, fuzzy: 0.6, partial: 0.5 }
+
+// Rank templates for a search query. The query is split into terms and each
+// term is matched on its own against the template's name, tags, framework,
+// description and rules context, tolerating typos ("nxtjs" finds nextjs).
+// Relevance is the share of the query that matched, weighted by field; it
+// is then nudged up by the template's community rating and vote count so
+// that, among equally relevant templates, well-rated popular ones come
+// first. Each result lists the fields that matched.
+export function rankSearchResults(templates, query, ratings = { templates: {} }) {
+  const terms = [...new Set(tokenize(query))]
+  if (terms.length === 0) return []
+
+  const maxVotes = Math.max(0, ...Object.values(ratings.templates || {}).map(entry => entry.votes || 0))
+
+  return templates
+    .map(template => {
+      const fields = SEARCH_FIELDS.map(({ field, weight, getText }) => ({
+        field,
+        weight,
+        terms: [...new Set(getText(template).filter(Boolean).flatMap(tokenizeField))]
+      }))
+
+      const matches = []
+      let total = 0
+      for (const term of terms) {
+        const best = findBestMatch(term, fields)
+        if (best) {
+          matches.push(best)
+          total += best.score
+        }
+      }
+
+      const relevance = total / (terms.length * MAX_WEIGHT)
+      const score = relevance * getPopularityBoost(ratings.templates?.[template.name], maxVotes)
+      return {
+        template,
+        score: Math.round(score * 100) / 100,
+        matches: matches.map(({ term, field, match, type }) => ({ term, field, match, type }))
+      }
+    })
+    .filter(result => result.matches.length > 0)
+    .sort((a, b) => b.score - a.score || a.template.name.localeCompare(b.template.name))
+}
+
+// "vue pinia, SSR" -> ["vue", "pinia", "ssr"]
+function tokenize(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)
+}
+
+// Field values are matched whole as well as word by word, so "react-native"
+// matches both the tag "react-native" and the query "native"
+function tokenizeField(text) {
+  const words = tokenize(text)
+  const whole = text.toLowerCase().trim()
+  return words.length > 1 && !/\s/.test(whole) ? [whole, ...words] : words
+}
+
+// The highest scoring field term for one query term, or null
+function findBestMatch(term, fields) {
+  let best = null
+
+  for (const { field, weight, terms } of fields) {
+    for (const candidate of terms) {
+      const type = getMatchType(term, candidate)
+      if (!type) continue
+
+      const score = weight * MATCH_SCORES[type]
+      if (!best || score > best.score) {
+        best = { term, field, match: candidate, type, score }
+      }
+    }
+  }
+
+  return best
+}
+
+function getMatchType(term, candidate) {
+  if (candidate === term) return 'exact'
+  if (term.length >= 2 && candidate.startsWith(term)) return 'prefix'
+
+  // Short terms would fuzzy-match half the dictionary
+  const maxDistance = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0
+  if (maxDistance > 0 && Math.abs(candidate.length - term.length) <= maxDistance &&
+      getEditDistance(term, candidate) <= maxDistance) {
+    return 'fuzzy'
+  }
+
+  if (term.length >= 3 && candidate.includes(term)) return 'partial'
+  return null
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions
+// and swaps of adjacent characters each count as one edit
+function getEditDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)])
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return rows[a.length][b.length]
+}
+
+// Up to 10% for a five star rating and 5% for having the most votes (on a
+// log scale): enough to order equally relevant templates, not enough to lift
+// a tag match above a name match
+function getPopularityBoost(rating, maxVotes) {
+  if (!rating) return 1
+
+  const quality = (rating.rating || 0) / 5
+  const popularity = maxVotes > 0 ? Math.log1p(rating.votes || 0) / Math.log1p(maxVotes) : 0
+  return 1 + 0.1 * quality + 0.05 * popularity
+}
@@ -6,16 +6,20 @@ import inquirer from 'inquirer'
 import ora from 'ora'
 import fs from 'fs-extra'
 import path from 'path'
-import { fileURLToPath } from 'url'
-import { exec } from 'child_process'
-import { promisify } from 'util'
-
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
-const execAsync = promisify(exec)
+import { getTemplateFiles } from './rules.js'
+import { resolveVariables, renderFiles, renderString, renderCommands } from './variables.js'
+import { applyTemplateConditions } from './conditions.js'
+import { writeFileTree } from './files.js'
+import { TemplateRepository, parseTemplateSpec } from './repository.js'
+import { loadConfig } from './config.js'
+import { prepareCommand, runCommand } from './runner.js'
 
 const program = new Command()
-const TEMPLATES_DIR = path.join(__dirname, '..', 'templates')
+const { registries, trustedKeys, packageManager } = await loadConfig().catch(error => {
+  console.error(chalk.red(error.message))
+  process.exit(1)
+})
+const repository = new TemplateRepository({ registries, trustedKeys })
 
 program
   .name('cursor-templates')
@@ -27,7 +31,7 @@ program
   .description('List all available templates')
   .action(async () => {
     try {
-      const templates = await getTemplates()
+      const templates = await repository.getTemplates()
       
       console.log(chalk.cyan('\n📦 Available Templates:\n'))
       
@@ -49,16 +53,18 @@ program
   .description('Initialize a new project with a template')
   .option('-t, --template <name>', 'Template name')
   .option('-n, --name <name>', 'Project name')
+  .option('--allow-unsigned', 'Install a registry or imported template without a trusted signature')
   .action(async (options) => {
     try {
-      const templates = await getTemplates()
+      const templates = await repository.getTemplates()
       
       let selectedTemplate
       let projectName
       
       // Get template selection
       if (options.template) {
-        selectedTemplate = templates.find(t => t.name === options.template)
+        const { name, range } = parseTemplateSpec(options.template)
+        selectedTemplate = await repository.findTemplate(name, range)
         if (!selectedTemplate) {
           console.error(chalk.red(`Template "${options.template}" not found`))
           process.exit(1)
@@ -77,6 +83,18 @@ program
         ])
         selectedTemplate = template
       }
+      selectedTemplate = await repository.fetchTemplate(selectedTemplate)
+      
+      // Registry and imported templates must be signed by a trusted key
+      const trust = await repository.verifyTemplate(selectedTemplate)
+      if (trust.status === 'unsigned' || trust.status === 'tampered') {
+        const label = `${selectedTemplate.name}@${selectedTemplate.version}`
+        if (!options.allowUnsigned) {
+          console.error(chalk.red(`${label} ${trust.reason}. Refusing to use it without --allow-unsigned.`))
+          process.exit(1)
+        }
+        console.log(chalk.yellow(`${label} ${trust.reason}; continuing because of --allow-unsigned`))
+      }
       
       // Get project name
       if (options.name) {
@@ -101,6 +119,7 @@ program
       }
       
       const projectPath = path.resolve(projectName)
+      const variables = await resolveVariables(selectedTemplate, { projectName, ...(packageManager && { packageManager }) }, { interactive: false })
       
       // Check if directory already exists
       if (await fs.pathExists(projectPath)) {
@@ -119,20 +138,38 @@ program
         }
       }
       
+      // Replace . with projectName in the install command
+      const install = selectedTemplate.commands?.install && prepareCommand(
+        renderString(selectedTemplate.commands.install, variables).replace(/\s\.\s/, ` ${projectName} `),
+        { packageManager: variables.packageManager }
+      )
+      const installCommand = install?.display
+      
+      // The other commands as the user will type them: rendered and rewritten for the package manager
+      const commands = Object.fromEntries(
+        Object.entries(renderCommands(selectedTemplate.commands, variables))
+          .map(([key, command]) => [key, prepareCommand(command, { packageManager: variables.packageManager }).display])
+      )
+      
+      // Show exactly what will run before running it
+      if (installCommand) {
+        console.log(chalk.cyan(`\nThis template runs:\n  $ ${installCommand}`))
+      }
+      const { runInstall } = installCommand
+        ? await inquirer.prompt([{ type: 'confirm', name: 'runInstall', message: 'Run this command?', default: true }])
+        : { runInstall: false }
+      
       console.log(chalk.cyan(`\n🚀 Creating ${selectedTemplate.name} project: ${projectName}\n`))
       
       // Step 1: Create the framework project
       const spinner = ora('Creating project with framework CLI...').start()
       
       try {
-        if (selectedTemplate.commands?.install) {
-          // Replace . with projectName in the install command
-          const installCommand = selectedTemplate.commands.install.replace(/\s\.\s/, ` ${projectName} `)
-          
+        if (runInstall) {
           spinner.text = `Running: ${installCommand}`
           
           // Execute the framework's create command
-          await execAsync(installCommand, { stdio: 'pipe' })
+          await runCommand(install)
           spinner.succeed(chalk.green('Framework project created successfully!'))
         } else {
           // Fallback: just create directory
@@ -142,21 +179,19 @@ program
       } catch (error) {
         spinner.fail(chalk.red('Failed to create framework project'))
         console.error(chalk.red('Error:'), error.message)
-        console.log(chalk.yellow(`\nYou can manually run: ${selectedTemplate.commands?.install || 'create project manually'}`))
+        if (error.cancelled) {
+          process.exit(130)
+        }
+        console.log(chalk.yellow(`\nYou can manually run: ${installCommand || 'create project manually'}`))
       }
       
       // Step 2: Add template files
       const templateSpinner = ora('Adding Cursor template files...').start()
       
       try {
-        // Copy template files
-        if (selectedTemplate.files) {
-          for (const file of selectedTemplate.files) {
-            const filePath = path.join(projectPath, file.path)
-            await fs.ensureDir(path.dirname(filePath))
-            await fs.writeFile(filePath, file.content)
-          }
-        }
+        // Copy template files, rendering .cursorrules from the structured rules
+        const files = renderFiles(getTemplateFiles(applyTemplateConditions(selectedTemplate, variables)), variables)
+        await writeFileTree(projectPath, files)
         
         // Write template metadata
         const metadataPath = path.join(projectPath, '.cursor-template.json')
@@ -175,19 +210,17 @@ program
       
       // Display next steps
       console.log(chalk.cyan('\n📋 Available commands:'))
-      if (selectedTemplate.commands) {
-        Object.entries(selectedTemplate.commands).forEach(([key, value]) => {
-          if (key !== 'install') { // Skip install since we already ran it
-            console.log(`  ${chalk.bold(key)}: ${value}`)
-          }
-        })
-      }
+      Object.entries(commands).forEach(([key, value]) => {
+        if (key !== 'install') { // Skip install since we already ran it
+          console.log(`  ${chalk.bold(key)}: ${value}`)
+        }
+      })
       
       console.log(chalk.yellow('\n🚀 Next steps:'))
       console.log(`  1. cd ${projectName}`)
       console.log(`  2. Open in Cursor IDE`)
-      if (selectedTemplate.commands?.dev) {
-        console.log(`  3. Run: ${selectedTemplate.commands.dev}`)
+      if (commands.dev) {
+        console.log(`  3. Run: ${commands.dev}`)
       }
       console.log(chalk.green(`\n✨ Your ${selectedTemplate.name} project is ready!`))
       
@@ -196,23 +229,4 @@ program
     }
   })
 
-async function getTemplates() {
-  const templateDirs = await fs.readdir(TEMPLATES_DIR)
-  const templates = []
-  
-  for (const dir of templateDirs) {
-    const templatePath = path.join(TEMPLATES_DIR, dir, 'template.json')
-    if (await fs.pathExists(templatePath)) {
-      try {
-        const template = await fs.readJson(templatePath)
-        templates.push(template)
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not load template from ${dir}`))
-      }
-    }
-  }
-  
-  return templates
-}
-
 program.parse()
\ No newline at end of file
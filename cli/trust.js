@@ -0,0 +1,92 @@
+import crypto from 'crypto'
+
+// Publishers sign this file next to template.json; `import` picks it up
+export const SIGNATURE_FILE = 'template.sig'
+
+// Templates from registries and imports can run commands, so they carry a
+// checksum of their content and, optionally, ed25519 signatures over
+// "<name>@<version>:<checksum>". A registry lists them with each version:
+//
+//   "versions": {
+//     "1.1.0": {
+//       "tarball": "...", "integrity": "sha512-...",
+//       "checksum": "sha256-...",
+//       "signatures": [{ "keyId": "acme-2026", "sig": "<base64>" }]
+//     }
+//   }
+//
+// Imported templates record them in `source`. A signature only counts when
+// its key is listed in `trustedKeys` in the user config.
+
+// Checksum of a template as published: its template.json and files, with
+// keys and files in a fixed order, leaving out where it came from
+export function getTemplateChecksum(template) {
+  const { registry, dist, versions, source, ...content } = template
+  if (content.files) {
+    content.files = [...content.files].sort((a, b) => a.path.localeCompare(b.path))
+  }
+  return 'sha256-' + crypto.createHash('sha256').update(toCanonicalJson(content)).digest('base64')
+}
+
+// Sign a template's checksum with an ed25519 private key (PEM)
+export function signTemplate(template, checksum, privateKey, keyId) {
+  const key = crypto.createPrivateKey(privateKey)
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Signing key ${keyId} is not an ed25519 key`)
+  }
+  const sig = crypto.sign(null, Buffer.from(getSignedMessage(template, checksum)), key)
+  return { keyId, sig: sig.toString('base64') }
+}
+
+// Check a template's content against its published checksum and signatures.
+// Returns { status, keyId?, reason? } where status is
+//   verified  the checksum matches and a trusted key signed it
+//   unsigned  no checksum, or no signature by a trusted key
+//   tampered  the content or a trusted signature doesn't match
+export function verifyTemplateContent(template, { checksum, signatures = [] } = {}, trustedKeys = {}) {
+  if (!checksum) {
+    return { status: 'unsigned', reason: 'has no checksum' }
+  }
+  if (getTemplateChecksum(template) !== checksum) {
+    return { status: 'tampered', reason: 'does not match its checksum' }
+  }
+
+  const message = Buffer.from(getSignedMessage(template, checksum))
+  const trusted = signatures.filter(signature => trustedKeys[signature?.keyId])
+  for (const { keyId, sig } of trusted) {
+    if (crypto.verify(null, message, parsePublicKey(trustedKeys[keyId]), Buffer.from(sig, 'base64'))) {
+      return { status: 'verified', keyId }
+    }
+  }
+
+  if (trusted.length > 0) {
+    return { status: 'tampered', reason: `has an invalid signature for ${trusted.map(({ keyId }) => keyId).join(', ')}` }
+  }
+  return signatures.length > 0
+    ? { status: 'unsigned', reason: `is signed by ${signatures.map(({ keyId }) => keyId).join(', ')}, which is not a trusted key` }
+    : { status: 'unsigned', reason: 'is not signed' }
+}
+
+// An ed25519 public key, as PEM or as base64 DER (openssl pkey -pubout -outform DER | base64)
+export function parsePublicKey(value) {
+  const key = value.trim().startsWith('-----BEGIN')
+    ? crypto.createPublicKey(value)
+    : crypto.createPublicKey({ key: Buffer.from(value, 'base64'), format: 'der', type: 'spki' })
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`expected an ed25519 key, got ${key.asymmetricKeyType}`)
+  }
+  return key
+}
+
+function getSignedMessage(template, checksum) {
+  return `${template.name}@${template.version}:${checksum}`
+}
+
+function toCanonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(toCanonicalJson).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
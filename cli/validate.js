@@ -0,0 +1,209 @@
+import path from 'path'
+import semver from 'semver'
+import { getTemplateFiles, CURSOR_RULES_PATH } from './rules.js'
+import { evaluateCondition } from './conditions.js'
+import { resolveTemplates } from './inheritance.js'
+import { loadTemplate } from './files.js'
+import { validateTemplateFile, validateLayerFile, formatSchemaError } from './schema.js'
+import { readCategories } from './repository.js'
+import { HOOKS } from './hooks.js'
+
+// Checks beyond the schema that `validate`, `import` and the template tests
+// share. Errors make a template unusable; warnings are worth fixing.
+
+// `templates` are the other raw templates, used to resolve `extends`
+export async function validateTemplate(templatePath, templateName, templates = []) {
+  const errors = []
+  const warnings = []
+  
+  try {
+    // Structure is checked against template.schema.json, with positions in template.json
+    const schema = await validateTemplateFile(templatePath)
+    if (schema.errors.length > 0) {
+      const file = path.relative(process.cwd(), templatePath)
+      return { errors: schema.errors.map(error => formatSchemaError(error, file)), warnings, template: schema.template }
+    }
+    
+    // Includes the files/ directory next to template.json
+    const raw = await loadTemplate(path.dirname(templatePath))
+    
+    // Validate the template as init sees it, with its parents merged in
+    const inheritance = resolveTemplates([
+      ...templates.filter(other => other.name !== raw.name),
+      raw
+    ])
+    for (const error of inheritance.errors.filter(error => error.template === raw.name)) {
+      errors.push(error.message)
+    }
+    const template = inheritance.templates.find(resolved => resolved.name === raw.name) || raw
+    
+    // Rules validation
+    if (template.rules) {
+      if (!template.rules.context) {
+        warnings.push('Missing rules.context')
+      }
+      if (!template.rules.style) {
+        warnings.push('Missing rules.style')
+      }
+      if (!template.rules.restrictions) {
+        warnings.push('Missing rules.restrictions')
+      }
+      if (!template.rules.preferences) {
+        warnings.push('Missing rules.preferences')
+      }
+    }
+    
+    // Tags validation
+    if (!template.tags || template.tags.length === 0) {
+      warnings.push('No tags specified')
+    }
+    
+    // Category validation; without one the template is placed by its tags
+    const { categories } = await readCategories()
+    if (template.category && !categories[template.category]) {
+      errors.push(`Unknown category "${template.category}". Use one of: ${Object.keys(categories).join(', ')}`)
+    } else if (!template.category && !template.abstract) {
+      warnings.push('No category specified')
+    }
+    
+    // Files validation
+    for (const file of template.files || []) {
+      if (file.path === CURSOR_RULES_PATH) {
+        warnings.push('Hand-written .cursorrules in files; move it to rules.appendix so it is generated from rules')
+      }
+    }
+    
+    // Rule sets validation
+    if (template.ruleSets) {
+      const names = new Set()
+      for (const ruleSet of template.ruleSets) {
+        if (names.has(ruleSet.name)) {
+          errors.push(`Duplicate rule set name: ${ruleSet.name}`)
+        }
+        names.add(ruleSet.name)
+        
+        if (!ruleSet.globs?.length && !ruleSet.alwaysApply) {
+          warnings.push(`Rule set "${ruleSet.name}" has no globs and is not alwaysApply`)
+        }
+      }
+    }
+    
+    // Variables validation
+    for (const variable of template.variables || []) {
+      if (variable.type === 'choice') {
+        if (!variable.choices?.length) {
+          errors.push(`Variable "${variable.name}" is a choice without choices`)
+        } else if (variable.default !== undefined && !variable.choices.includes(variable.default)) {
+          errors.push(`Variable "${variable.name}" default is not one of its choices`)
+        }
+      }
+    }
+    
+    // History can't describe versions that haven't been released
+    for (const key of ['changelog', 'migrations']) {
+      for (const version of Object.keys(template[key] || {})) {
+        if (semver.gt(version, template.version)) {
+          errors.push(`${key} entry ${version} is newer than the template version ${template.version}`)
+        }
+      }
+    }
+    
+    // Hooks run inside the project
+    for (const hook of HOOKS) {
+      for (const step of template.hooks?.[hook] || []) {
+        if (step.cwd && (path.isAbsolute(step.cwd) || step.cwd.split(/[\\/]/).includes('..'))) {
+          errors.push(`${hook} step "${step.name || step.run}" runs outside the project (cwd ${step.cwd})`)
+        }
+      }
+    }
+    
+    // Conditions must parse
+    const conditions = [
+      ...(template.files || []),
+      ...(template.ruleSets || []),
+      ...(template.variables || []),
+      ...(template.rules?.style?.conventions || []),
+      ...(template.rules?.restrictions || []),
+      ...(template.rules?.preferences || []),
+      ...[].concat(template.rules?.appendix || []),
+      ...HOOKS.flatMap(hook => template.hooks?.[hook] || [])
+    ].filter(entry => entry?.when)
+    for (const entry of conditions) {
+      try {
+        evaluateCondition(entry.when, {})
+      } catch (error) {
+        errors.push(error.message)
+      }
+    }
+    
+    // Check the .cursorrules file that init would write
+    const cursorRules = getTemplateFiles(template).find(file => file.path === CURSOR_RULES_PATH)
+    if (!cursorRules) {
+      warnings.push('No .cursorrules generated')
+    } else if (cursorRules.content.length < 100) {
+      warnings.push('.cursorrules file seems too short')
+    }
+    
+    // Commands validation; abstract templates are only ever extended
+    if (template.commands) {
+      if (!template.commands.install) {
+        warnings.push('No install command specified')
+      }
+      if (!template.commands.dev) {
+        warnings.push('No dev command specified')
+      }
+    } else if (!template.abstract) {
+      warnings.push('No commands specified')
+    }
+    
+    return { errors, warnings, template }
+  } catch (error) {
+    return { 
+      errors: [`Failed to parse template: ${error.message}`], 
+      warnings: [],
+      template: null 
+    }
+  }
+}
+
+// Layers are rule packs without scaffolding, stacked on templates with --layer
+export async function validateLayer(layerPath) {
+  const errors = []
+  const warnings = []
+  
+  try {
+    // Structure is checked against the layer schema, with positions in layer.json
+    const schema = await validateLayerFile(layerPath)
+    if (schema.errors.length > 0) {
+      const file = path.relative(process.cwd(), layerPath)
+      return { errors: schema.errors.map(error => formatSchemaError(error, file)), warnings }
+    }
+    const { layer } = schema
+    
+    if (!layer.rules && !layer.ruleSets?.length) {
+      errors.push('Layer has no rules or ruleSets')
+    }
+    
+    const names = new Set([layer.name])
+    for (const ruleSet of layer.ruleSets || []) {
+      if (names.has(ruleSet.name)) {
+        errors.push(`Duplicate rule set name: ${ruleSet.name}`)
+      }
+      names.add(ruleSet.name)
+    }
+    
+    if (layer.commands) {
+      warnings.push('Layers are not scaffolded, so commands are ignored')
+    }
+    if (layer.hooks) {
+      warnings.push('Layers are not scaffolded, so hooks are ignored')
+    }
+    if (layer.extends) {
+      warnings.push('Layers cannot extend templates, so extends is ignored')
+    }
+    
+    return { errors, warnings }
+  } catch (error) {
+    return { errors: [`Failed to parse layer: ${error.message}`], warnings: [] }
+  }
+}
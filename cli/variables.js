@@ -0,0 +1,134 @@
+import inquirer from 'inquirer'
+import { InvalidArgumentError } from 'commander'
+import { evaluateCondition } from './conditions.js'
+import { isBinaryFile } from './files.js'
+
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun']
+
+// Variables every template can use without declaring them. Builtins other
+// than projectName are only asked for when the template references them.
+export const BUILTIN_VARIABLES = [
+  {
+    name: 'projectName',
+    prompt: 'Project name:',
+    type: 'string',
+    default: 'my-project',
+    validation: '^[a-zA-Z0-9._-]+$',
+    validationMessage: 'Project name can only contain letters, numbers, dots, underscores, and hyphens'
+  },
+  {
+    name: 'packageManager',
+    prompt: 'Package manager:',
+    type: 'choice',
+    choices: PACKAGE_MANAGERS,
+    default: 'npm'
+  }
+]
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g
+
+// Collect repeated `--var key=value` options for commander
+export function collectVar(value, previous = {}) {
+  const index = value.indexOf('=')
+  if (index <= 0) {
+    throw new InvalidArgumentError('Expected key=value.')
+  }
+  return { ...previous, [value.slice(0, index)]: value.slice(index + 1) }
+}
+
+export function getTemplateVariables(template) {
+  const declared = template.variables || []
+  const source = JSON.stringify(template)
+  const builtins = BUILTIN_VARIABLES
+    .filter(builtin => !declared.some(variable => variable.name === builtin.name))
+    .map(builtin => ({
+      ...builtin,
+      ask: builtin.name === 'projectName' || new RegExp(`\\{\\{\\s*${builtin.name}\\s*\\}\\}`).test(source)
+    }))
+  return [...builtins, ...declared.map(variable => ({ ...variable, ask: true }))]
+}
+
+// Resolve values for every variable: provided values win, then prompts
+// (when interactive), then defaults. A variable whose `when` fails against
+// the values so far is not asked. Throws on values that fail validation.
+export async function resolveVariables(template, provided = {}, { interactive = Boolean(process.stdin.isTTY) } = {}) {
+  const values = {}
+
+  for (const variable of getTemplateVariables(template)) {
+    if (provided[variable.name] !== undefined) {
+      const value = coerceValue(variable, provided[variable.name])
+      const valid = validateValue(variable, value)
+      if (valid !== true) {
+        throw new Error(`Invalid value for ${variable.name}: ${valid}`)
+      }
+      values[variable.name] = value
+    } else if (interactive && variable.ask && evaluateCondition(variable.when, values)) {
+      const { value } = await inquirer.prompt([toQuestion(variable)])
+      values[variable.name] = value
+    } else {
+      values[variable.name] = variable.default ?? (variable.type === 'boolean' ? false : '')
+    }
+  }
+
+  return values
+}
+
+// Replace {{name}} placeholders. Unknown names are left alone so framework
+// syntax such as Vue or Angular interpolation survives.
+export function renderString(text, values) {
+  if (typeof text !== 'string') return text
+  return text.replace(VARIABLE_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+  )
+}
+
+// Binary files are copied untouched; only their path is rendered
+export function renderFiles(files, values) {
+  return files.map(file => ({
+    ...file,
+    path: renderString(file.path, values),
+    content: isBinaryFile(file) ? file.content : renderString(file.content, values)
+  }))
+}
+
+export function renderCommands(commands = {}, values) {
+  return Object.fromEntries(
+    Object.entries(commands).map(([key, command]) => [key, renderString(command, values)])
+  )
+}
+
+function coerceValue(variable, raw) {
+  if (variable.type === 'boolean') {
+    return raw === true || raw === 'true' || raw === 'yes' || raw === '1'
+  }
+  if (variable.type === 'number') {
+    return Number(raw)
+  }
+  return raw
+}
+
+function validateValue(variable, value) {
+  if (variable.type === 'number' && Number.isNaN(value)) {
+    return 'expected a number'
+  }
+  if (variable.type === 'choice' && !variable.choices.includes(value)) {
+    return `expected one of ${variable.choices.join(', ')}`
+  }
+  if (variable.validation && !new RegExp(variable.validation).test(String(value))) {
+    return variable.validationMessage || `must match ${variable.validation}`
+  }
+  return true
+}
+
+function toQuestion(variable) {
+  const types = { boolean: 'confirm', choice: 'list', number: 'number' }
+
+  return {
+    type: types[variable.type] || 'input',
+    name: 'value',
+    message: variable.prompt || `${variable.name}:`,
+    default: variable.default,
+    choices: variable.choices,
+    validate: (input) => validateValue(variable, coerceValue(variable, input))
+  }
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra'
+import path from 'path'
+import chalk from 'chalk'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+import { TemplateRepository } from '../cli/repository.js'
+import { packTemplate } from '../cli/registry.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'dist', 'registry')
+
+// Publish the bundled templates as a registry: one tarball per template and
+// an index.json listing them with their checksums. Serve the directory over
+// HTTP, or point CURSOR_TEMPLATES_REGISTRY at its index.json directly. With
+// `signingKey` (an ed25519 private key in PEM) every version is signed as
+// `keyId`:
+//
+//   npm run build-registry -- dist/registry --key registry.pem --key-id acme-2026
+async function buildRegistry(outDir = DEFAULT_OUT_DIR, { signingKey, keyId } = {}) {
+  const repository = new TemplateRepository()
+  const templates = await repository.getTemplates()
+
+  await clearPreviousBuild(outDir)
+  const entries = []
+  for (const template of templates) {
+    entries.push(await packTemplate(template, outDir, { signingKey, keyId }))
+    console.log(chalk.gray(`  ${template.name}@${template.version}`))
+  }
+
+  await fs.writeJson(path.join(outDir, 'index.json'), { templates: entries }, { spaces: 2 })
+  console.log(chalk.green(`✅ Packed ${entries.length} template(s) into ${outDir}${signingKey ? `, signed as ${keyId}` : ''}`))
+}
+
+// The output directory is given on the command line, so it is never emptied:
+// only the index and tarballs of an earlier build are removed, and any
+// other non-empty directory is refused
+async function clearPreviousBuild(outDir) {
+  if (!await fs.pathExists(outDir) || (await fs.readdir(outDir)).length === 0) return
+  
+  const indexPath = path.join(outDir, 'index.json')
+  if (!await fs.pathExists(indexPath)) {
+    throw new Error(`${outDir} is not empty and has no index.json from an earlier build. Use a new or empty directory.`)
+  }
+  
+  const { templates = [] } = await fs.readJson(indexPath)
+  const tarballs = templates.flatMap(entry => Object.values(entry.versions || {}).map(version => version.tarball))
+  for (const tarball of tarballs) {
+    // Only the build's own files, named relative to the index
+    if (typeof tarball === 'string' && tarball.endsWith('.tgz') && path.basename(tarball) === tarball) {
+      await fs.remove(path.join(outDir, tarball))
+    }
+  }
+  await fs.remove(indexPath)
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { key: { type: 'string' }, 'key-id': { type: 'string' } }
+  })
+  if (values.key && !values['key-id']) {
+    console.error(chalk.red('--key needs a --key-id, the name users list the public key under'))
+    process.exit(1)
+  }
+  try {
+    await buildRegistry(positionals[0] && path.resolve(positionals[0]), {
+      signingKey: values.key && await fs.readFile(path.resolve(values.key), 'utf8'),
+      keyId: values['key-id']
+    })
+  } catch (error) {
+    console.error(chalk.red('Error building the registry:'), error.message)
+    process.exit(1)
+  }
+}
+
+export { buildRegistry }
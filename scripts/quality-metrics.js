@@ -6,20 +6,27 @@ import chalk from 'chalk'
 import { fileURLToPath } from 'url'
 import { exec } from 'child_process'
 import { promisify } from 'util'
+import { getTemplateFiles } from '../cli/rules.js'
+import { TemplateRepository } from '../cli/repository.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const execAsync = promisify(exec)
-const TEMPLATES_DIR = path.join(__dirname, '..', 'templates')
 
 class QualityMetrics {
-  constructor() {
+  constructor({ repository = new TemplateRepository() } = {}) {
     this.metricsPath = path.join(__dirname, '..', 'quality-metrics.json')
+    this.repository = repository
   }
 
-  async analyzeTemplate(templatePath, templateName) {
+  // Bundled templates as init installs them, with their parents merged in
+  async getTemplates() {
+    return this.repository.getLocalTemplates()
+  }
+
+  async analyzeTemplate(template) {
     const metrics = {
-      name: templateName,
+      name: template.name,
       score: 0,
       issues: [],
       recommendations: [],
@@ -27,8 +34,6 @@ class QualityMetrics {
     }
 
     try {
-      const template = await fs.readJson(templatePath)
-      
       // 1. Completeness Score (30 points)
       metrics.analysis.completeness = this.analyzeCompleteness(template)
       metrics.score += metrics.analysis.completeness.score
@@ -59,7 +64,7 @@ class QualityMetrics {
 
     } catch (error) {
       return {
-        name: templateName,
+        name: template.name,
         score: 0,
         grade: 'F',
         error: error.message,
@@ -72,7 +77,7 @@ class QualityMetrics {
     const analysis = { score: 0, maxScore: 30, issues: [], recommendations: [] }
     
     // Required fields (15 points)
-    const requiredFields = ['name', 'description', 'version', 'rules', 'files']
+    const requiredFields = ['name', 'description', 'version', 'rules']
     const missingFields = requiredFields.filter(field => !template[field])
     
     if (missingFields.length === 0) {
@@ -83,8 +88,9 @@ class QualityMetrics {
     }
 
     // Files completeness (10 points)
-    if (template.files && template.files.length > 0) {
-      const hasCursorRules = template.files.some(f => f.path === '.cursorrules')
+    const files = getTemplateFiles(template)
+    if (files.length > 0) {
+      const hasCursorRules = files.some(f => f.path === '.cursorrules')
       if (hasCursorRules) {
         analysis.score += 10
       } else {
@@ -133,7 +139,7 @@ class QualityMetrics {
     }
 
     // .cursorrules quality (15 points)
-    const cursorRulesFile = template.files?.find(f => f.path === '.cursorrules')
+    const cursorRulesFile = getTemplateFiles(template).find(f => f.path === '.cursorrules')
     if (cursorRulesFile) {
       const content = cursorRulesFile.content
       if (content.length > 500) {
@@ -260,27 +266,22 @@ class QualityMetrics {
     console.log(chalk.cyan('🎯 Analyzing template quality...\n'))
 
     const results = []
-    const templateDirs = await fs.readdir(TEMPLATES_DIR)
 
-    for (const dir of templateDirs) {
-      const templatePath = path.join(TEMPLATES_DIR, dir, 'template.json')
+    for (const template of await this.getTemplates()) {
+      console.log(chalk.gray(`Analyzing: ${template.name}`))
+      const metrics = await this.analyzeTemplate(template)
+      results.push(metrics)
       
-      if (await fs.pathExists(templatePath)) {
-        console.log(chalk.gray(`Analyzing: ${dir}`))
-        const metrics = await this.analyzeTemplate(templatePath, dir)
-        results.push(metrics)
-        
-        const gradeColor = this.getGradeColor(metrics.grade)
-        console.log(`  Score: ${metrics.score}/100 (${gradeColor(metrics.grade)})`)
-        
-        if (metrics.issues.length > 0) {
-          console.log(chalk.red(`  Issues: ${metrics.issues.length}`))
-        }
-        if (metrics.recommendations.length > 0) {
-          console.log(chalk.yellow(`  Recommendations: ${metrics.recommendations.length}`))
-        }
-        console.log()
+      const gradeColor = this.getGradeColor(metrics.grade)
+      console.log(`  Score: ${metrics.score}/100 (${gradeColor(metrics.grade)})`)
+      
+      if (metrics.issues.length > 0) {
+        console.log(chalk.red(`  Issues: ${metrics.issues.length}`))
+      }
+      if (metrics.recommendations.length > 0) {
+        console.log(chalk.yellow(`  Recommendations: ${metrics.recommendations.length}`))
       }
+      console.log()
     }
 
     // Save results
@@ -2,9 +2,24 @@
 
 import { exec } from 'child_process'
 import { promisify } from 'util'
+import assert from 'assert'
+import crypto from 'crypto'
 import chalk from 'chalk'
+import fs from 'fs-extra'
+import os from 'os'
 import path from 'path'
-import { fileURLToPath } from 'url'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { evaluateCondition } from '../cli/conditions.js'
+import { mergeThreeWay } from '../cli/merge.js'
+import { getTemplateChecksum, signTemplate, verifyTemplateContent } from '../cli/trust.js'
+import { prepareCommand, rewriteForPackageManager } from '../cli/runner.js'
+import { verifyIntegrity, getIntegrity, fetchIndex, packTemplate } from '../cli/registry.js'
+import { TemplateRepository } from '../cli/repository.js'
+import { TemplateDiscovery } from '../cli/discover.js'
+import { fetchRepository } from '../cli/importer.js'
+import { writeTemplateFiles, updateTemplateFiles, recordInstalledFiles } from '../cli/project.js'
+import { runMigrations } from '../cli/migrations.js'
+import { getHookSteps, runHook } from '../cli/hooks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -12,6 +27,16 @@ const execAsync = promisify(exec)
 
 const CLI_PATH = path.join(__dirname, '..', 'cli', 'index.js')
 
+const REGISTRY_TEMPLATE = { name: 'registry-check', description: 'Registry template', version: '1.0.0', rules: { context: 'From the registry' } }
+const HOOK_TEMPLATE = {
+  name: 'hook-check',
+  description: 'Hook template',
+  version: '1.0.0',
+  rules: { context: 'Hooks' },
+  hooks: { postInit: [{ name: 'fail', run: 'node -e "process.exit(3)"' }, { name: 'after', run: logStep('after') }] }
+}
+const SIGNED_TEMPLATE = { name: 'signed', version: '1.0.0', description: 'Signed template', rules: { context: 'Signed' } }
+
 async function runCommand(command, description) {
   console.log(chalk.blue(`Testing: ${description}`))
   console.log(chalk.gray(`Command: ${command}`))
@@ -37,6 +62,378 @@ async function runCommand(command, description) {
   }
 }
 
+// Checks that call the CLI's modules directly, for behaviour a command's
+// output doesn't show. Each throws when something is wrong.
+const checks = [
+  {
+    description: 'Conditions: names are only looked up in the variables',
+    run: () => {
+      assert.strictEqual(evaluateCondition("auth == 'nextauth' && !minimal", { auth: 'nextauth', minimal: false }), true)
+      assert.strictEqual(evaluateCondition('constructor', {}), false)
+      assert.strictEqual(evaluateCondition('toString || hasOwnProperty', { auth: 'none' }), false)
+    }
+  },
+  {
+    description: 'Three-way merge keeps changes from both sides',
+    run: () => {
+      const merged = mergeThreeWay('a\nb\nc\n', 'A\nb\nc\n', 'a\nb\nC\n')
+      assert.deepStrictEqual(merged, { content: 'A\nb\nC\n', conflicts: 0 })
+    }
+  },
+  {
+    description: 'Three-way merge marks lines changed on both sides',
+    run: () => {
+      const merged = mergeThreeWay('a\nb\n', 'local\nb\n', 'template\nb\n')
+      assert.strictEqual(merged.conflicts, 1)
+      assert.strictEqual(merged.content, '<<<<<<< local\nlocal\n=======\ntemplate\n>>>>>>> template\nb\n')
+    }
+  },
+  {
+    description: 'Trust: a template signed by a trusted key is verified',
+    run: () => {
+      const { signed, trustedKeys } = signForCheck(SIGNED_TEMPLATE)
+      assert.deepStrictEqual(verifyTemplateContent(SIGNED_TEMPLATE, signed, trustedKeys), { status: 'verified', keyId: 'check' })
+    }
+  },
+  {
+    description: 'Trust: a changed template is tampered',
+    run: () => {
+      const { signed, trustedKeys } = signForCheck(SIGNED_TEMPLATE)
+      const changed = { ...SIGNED_TEMPLATE, rules: { context: 'Changed' } }
+      assert.strictEqual(verifyTemplateContent(changed, signed, trustedKeys).status, 'tampered')
+    }
+  },
+  {
+    description: 'Trust: unsigned templates and untrusted keys are unsigned',
+    run: () => {
+      const { signed } = signForCheck(SIGNED_TEMPLATE)
+      assert.strictEqual(verifyTemplateContent(SIGNED_TEMPLATE, { checksum: signed.checksum }).status, 'unsigned')
+      assert.strictEqual(verifyTemplateContent(SIGNED_TEMPLATE, signed, {}).status, 'unsigned')
+      assert.strictEqual(verifyTemplateContent(SIGNED_TEMPLATE, {}).status, 'unsigned')
+    }
+  },
+  {
+    description: 'Runner: npm commands are rewritten for other package managers',
+    run: () => {
+      assert.deepStrictEqual(rewriteForPackageManager(['npm', 'install', '--save-dev', 'vitest'], 'pnpm'), ['pnpm', 'add', '-D', 'vitest'])
+      assert.deepStrictEqual(rewriteForPackageManager(['npm', 'ci'], 'yarn'), ['yarn', 'install', '--frozen-lockfile'])
+      assert.deepStrictEqual(rewriteForPackageManager(['npx', 'create-next-app@latest', 'app'], 'bun'), ['bun', 'create', 'next-app', 'app'])
+      assert.deepStrictEqual(rewriteForPackageManager(['npx', 'prisma', 'generate'], 'pnpm'), ['pnpm', 'dlx', 'prisma', 'generate'])
+      // yarn 1 has no dlx
+      assert.deepStrictEqual(rewriteForPackageManager(['npx', 'prisma', 'generate'], 'yarn'), ['npx', 'prisma', 'generate'])
+    }
+  },
+  {
+    description: 'Runner: commands are split into steps without a shell when they can be',
+    run: () => {
+      assert.deepStrictEqual(prepareCommand('npm install -D vitest "my pkg"', { packageManager: 'pnpm' }), {
+        shell: false,
+        steps: [['pnpm', 'add', '-D', 'vitest', 'my pkg']],
+        display: "pnpm add -D vitest 'my pkg'"
+      })
+      assert.deepStrictEqual(prepareCommand('npm install && npm run dev').steps, [['npm', 'install'], ['npm', 'run', 'dev']])
+    }
+  },
+  {
+    description: 'Runner: builtins and shell syntax run in a shell',
+    run: () => {
+      assert.deepStrictEqual(prepareCommand('cd app && npm install', { packageManager: 'pnpm' }), {
+        shell: true,
+        steps: [['cd app && pnpm install']],
+        display: 'cd app && pnpm install'
+      })
+      const piped = prepareCommand('npm test | tee log', { packageManager: 'pnpm' })
+      assert.strictEqual(piped.shell, true)
+      assert.deepStrictEqual(piped.steps, [['npm test | tee log']])
+      assert.ok(piped.warning, 'expected a warning that npm is not rewritten')
+    }
+  },
+  {
+    description: 'Registry: a download that does not match its integrity hash is refused',
+    run: () => {
+      const integrity = getIntegrity(Buffer.from('published'))
+      verifyIntegrity(Buffer.from('published'), integrity, 'check@1.0.0')
+      assert.throws(() => verifyIntegrity(Buffer.from('changed'), integrity, 'check@1.0.0'), /Integrity check failed for check@1.0.0/)
+    }
+  },
+  {
+    description: 'Registry: index entries whose names are not template names are dropped',
+    run: () => withTempDir(async (dir) => {
+      const version = { tarball: 'x.tgz', integrity: getIntegrity(Buffer.from('x')) }
+      const names = ['ok', '@acme/ok', '../../../outside', '..', '@acme/..', 'a/b']
+      await fs.writeJson(path.join(dir, 'index.json'), {
+        templates: names.map(name => ({ name, description: name, version: '1.0.0', versions: { '1.0.0': version } }))
+      })
+      const entries = await fetchIndex(pathToFileURL(path.join(dir, 'index.json')).href)
+      assert.deepStrictEqual(entries.map(entry => entry.name), ['ok', '@acme/ok'])
+      
+      const repository = new TemplateRepository({ cacheDir: dir })
+      assert.throws(() => repository.getCachedTemplateDir({ name: '..', version: '1.0.0' }), /is outside the cache/)
+    })
+  },
+  {
+    description: 'Registry: templates install from a registry, and from the cache when it is offline',
+    run: () => withTempDir(async (dir) => {
+      const registries = await publishForCheck(dir, [REGISTRY_TEMPLATE])
+      const cacheDir = path.join(dir, 'cache')
+      
+      const repository = new TemplateRepository({ registries, cacheDir })
+      const listed = await repository.findTemplate(REGISTRY_TEMPLATE.name)
+      assert.strictEqual(listed.registry, registries[0].url)
+      const fetched = await repository.fetchTemplate(listed)
+      assert.strictEqual(fetched.rules.context, 'From the registry')
+      assert.ok(await fs.pathExists(path.join(repository.getCachedTemplateDir(listed), 'template.json')))
+      
+      // With the registry gone, the cached index and download are used
+      await fs.remove(path.join(dir, 'registry'))
+      const offline = new TemplateRepository({ registries, cacheDir })
+      const { registries: [status] } = await offline.updateRegistry()
+      assert.ok(status.error, 'expected the registry to be unreachable')
+      const cached = await offline.getTemplate(REGISTRY_TEMPLATE.name)
+      assert.strictEqual(cached.rules.context, 'From the registry')
+      
+      // ...and so is applying it to a project
+      const projectPath = path.join(dir, 'project')
+      await fs.outputJson(path.join(projectPath, 'package.json'), { name: 'registry-project' })
+      await execAsync(`node ${CLI_PATH} apply ${REGISTRY_TEMPLATE.name} --conflict overwrite --allow-unsigned`, {
+        cwd: projectPath,
+        env: { ...process.env, CURSOR_TEMPLATES_REGISTRY: registries[0].url, CURSOR_TEMPLATES_CACHE: cacheDir, XDG_CONFIG_HOME: path.join(dir, 'config') }
+      })
+      assert.match(await fs.readFile(path.join(projectPath, '.cursorrules'), 'utf8'), /From the registry/)
+      const lock = await fs.readJson(path.join(projectPath, '.cursor-template.lock'))
+      assert.strictEqual(lock.template.resolved, listed.versions['1.0.0'].tarball)
+    })
+  },
+  {
+    description: 'Registry: a tarball holding another name or version than its index entry is refused',
+    run: () => withTempDir(async (dir) => {
+      const registries = await publishForCheck(dir, [REGISTRY_TEMPLATE], entry => ({
+        ...entry,
+        version: '1.1.0',
+        versions: { '1.1.0': entry.versions['1.0.0'] }
+      }))
+      const repository = new TemplateRepository({ registries, cacheDir: path.join(dir, 'cache') })
+      await assert.rejects(repository.getTemplate(REGISTRY_TEMPLATE.name), /contains registry-check@1\.0\.0/)
+      assert.ok(!await fs.pathExists(repository.getCachedTemplateDir({ name: REGISTRY_TEMPLATE.name, version: '1.1.0' })))
+    })
+  },
+  {
+    description: 'Import: a git repository is imported by path from its Cursor rules, pinned to its commit',
+    run: () => withTempDir(async (dir) => {
+      const repoPath = path.join(dir, 'rules-repo')
+      await fs.outputFile(path.join(repoPath, '.cursorrules'), '# Shop Rules\n\nUse the design system.\n')
+      await fs.outputFile(path.join(repoPath, '.cursor/rules/api.mdc'), '---\ndescription: API handlers\nglobs: app/api/**, lib/api/**\nalwaysApply: false\n---\n# API Rules\n\nValidate every request body.\n')
+      await execAsync('git init -q && git add -A && git -c user.name=check -c user.email=check@example.com commit -qm rules', { cwd: repoPath })
+      const { stdout: commit } = await execAsync('git rev-parse HEAD', { cwd: repoPath })
+      
+      const repository = new TemplateRepository({
+        templatesDir: path.join(dir, 'templates'),
+        importsFile: path.join(dir, 'imports.json'),
+        cacheDir: path.join(dir, 'cache')
+      })
+      await fs.ensureDir(repository.templatesDir)
+      const template = await new TemplateDiscovery(repository).importFromGitHub(repoPath)
+      
+      assert.strictEqual(template.name, 'rules-repo')
+      assert.deepStrictEqual(template.source, { type: 'git', url: repoPath, commit: commit.trim() })
+      assert.deepStrictEqual(template.rules, { title: 'Shop Rules', appendix: 'Use the design system.' })
+      assert.deepStrictEqual(template.ruleSets, [{
+        name: 'api',
+        description: 'API handlers',
+        globs: ['app/api/**', 'lib/api/**'],
+        alwaysApply: false,
+        rules: { title: 'API Rules', appendix: 'Validate every request body.' }
+      }])
+      assert.strictEqual((await repository.readImports())['rules-repo'].commit, commit.trim())
+    })
+  },
+  {
+    description: 'Import: a failed clone leaves no checkout behind',
+    run: async () => {
+      const checkouts = async () => (await fs.readdir(os.tmpdir())).filter(entry => /^cursor-templates-(?!check-)/.test(entry))
+      const before = await checkouts()
+      await assert.rejects(fetchRepository(path.join(os.tmpdir(), 'cursor-templates-missing-repo')), /Could not fetch/)
+      assert.deepStrictEqual(await checkouts(), before)
+    }
+  },
+  {
+    description: 'Files: paths outside the project are refused before anything is written',
+    run: () => withTempDir(async (projectPath) => {
+      for (const escaped of ['../outside.txt', 'nested/../../outside.txt', path.join(os.tmpdir(), 'outside.txt')]) {
+        await assert.rejects(
+          writeTemplateFiles(projectPath, [{ path: 'inside.txt', content: 'inside' }, { path: escaped, content: 'outside' }]),
+          /is outside the project/
+        )
+      }
+      assert.deepStrictEqual(await fs.readdir(projectPath), [])
+    })
+  },
+  {
+    description: 'Update: a merge that leaves the local file as it was is not reported as merged',
+    run: () => withTempDir(async (projectPath) => {
+      const installed = recordInstalledFiles([
+        { path: 'same.txt', content: 'a\nb\n' },
+        { path: 'covered.txt', content: 'a\nb\nc\nd\n' },
+        { path: 'changed.txt', content: 'a\nb\nc\n' }
+      ])
+      await fs.writeFile(path.join(projectPath, 'same.txt'), 'a\nB\n')
+      await fs.writeFile(path.join(projectPath, 'covered.txt'), 'A\nb\nc\nD\n')
+      await fs.writeFile(path.join(projectPath, 'changed.txt'), 'A\nb\nc\n')
+      const results = await updateTemplateFiles(projectPath, [
+        { path: 'same.txt', content: 'a\nb\n' },
+        { path: 'covered.txt', content: 'a\nb\nc\nD\n' },
+        { path: 'changed.txt', content: 'a\nb\nC\n' }
+      ], installed)
+      assert.deepStrictEqual(results.map(result => result.action), ['unchanged', 'kept local edits', 'merged'])
+      assert.strictEqual(await fs.readFile(path.join(projectPath, 'covered.txt'), 'utf8'), 'A\nb\nc\nD\n')
+      assert.strictEqual(await fs.readFile(path.join(projectPath, 'changed.txt'), 'utf8'), 'A\nb\nC\n')
+    })
+  },
+  {
+    description: 'Migrations: files edited since install are not deleted',
+    run: () => withTempDir(async (projectPath) => {
+      const installed = recordInstalledFiles([{ path: 'old.config.js', content: 'installed\n' }])
+      await fs.writeFile(path.join(projectPath, 'old.config.js'), 'edited\n')
+      const { results } = await runMigrations(projectPath, [{ version: '2.0.0', steps: [{ type: 'delete', path: 'old.config.js' }] }], installed)
+      assert.strictEqual(results[0].action, 'kept')
+      assert.strictEqual(await fs.readFile(path.join(projectPath, 'old.config.js'), 'utf8'), 'edited\n')
+    })
+  },
+  {
+    description: 'Migrations: a dry run sees the files earlier steps would move',
+    run: () => withTempDir(async (projectPath) => {
+      const installed = recordInstalledFiles([{ path: 'a.js', content: 'installed\n' }])
+      await fs.writeFile(path.join(projectPath, 'a.js'), 'installed\n')
+      const steps = [{ type: 'rename', from: 'a.js', to: 'b.js' }, { type: 'delete', path: 'b.js' }]
+      const migrated = await runMigrations(projectPath, [{ version: '2.0.0', steps }], installed, { dryRun: true })
+      assert.deepStrictEqual(migrated.results.map(result => result.action), ['renamed', 'deleted'])
+      assert.deepStrictEqual(migrated.installed, {})
+      assert.deepStrictEqual(await fs.readdir(projectPath), ['a.js'])
+    })
+  },
+  {
+    description: 'Hooks: steps run in order, and continueOnError carries on past a failure',
+    run: () => withTempDir(async (projectPath) => {
+      const steps = getHookSteps({
+        hooks: {
+          postInit: [
+            { run: logStep('one') },
+            { name: 'broken', run: 'node -e "process.exit(1)"', continueOnError: true },
+            { run: logStep('skipped'), when: 'docker' },
+            { run: logStep('two') }
+          ]
+        }
+      }, 'postInit', { docker: false })
+      const { results, ok } = await runHook(projectPath, steps)
+      assert.deepStrictEqual(results.map(result => result.action), ['ran', 'failed', 'skipped', 'ran'])
+      assert.strictEqual(results[2].reason, 'docker is false')
+      assert.strictEqual(ok, true)
+      assert.strictEqual(await fs.readFile(path.join(projectPath, 'hook.log'), 'utf8'), 'one two ')
+    })
+  },
+  {
+    description: 'Hooks: a failed step skips the steps after it',
+    run: () => withTempDir(async (projectPath) => {
+      const steps = getHookSteps({
+        hooks: { postUpdate: [{ name: 'broken', run: 'node -e "process.exit(1)"' }, { run: logStep('after') }] }
+      }, 'postUpdate')
+      const { results, ok } = await runHook(projectPath, steps)
+      assert.deepStrictEqual(results.map(result => result.action), ['failed', 'skipped'])
+      assert.strictEqual(results[1].reason, '"broken" failed')
+      assert.strictEqual(ok, false)
+      assert.ok(!await fs.pathExists(path.join(projectPath, 'hook.log')))
+    })
+  },
+  {
+    description: 'Hooks: steps run in their cwd, which must be inside the project',
+    run: () => withTempDir(async (dir) => {
+      const projectPath = path.join(dir, 'project')
+      await fs.ensureDir(path.join(projectPath, 'apps/web'))
+      const steps = getHookSteps({
+        hooks: {
+          postInit: ['apps/{{app}}', '..', 'missing'].map(cwd => ({ run: logStep(cwd), cwd, continueOnError: true }))
+        }
+      }, 'postInit', { app: 'web' })
+      const { results } = await runHook(projectPath, steps)
+      assert.deepStrictEqual(results.map(result => result.action), ['ran', 'failed', 'failed'])
+      assert.match(results[1].reason, /Hook directory "\.\." is outside the project/)
+      assert.match(results[2].reason, /Hook directory "missing" does not exist/)
+      assert.strictEqual(await fs.readFile(path.join(projectPath, 'apps/web/hook.log'), 'utf8'), 'apps/web ')
+      assert.ok(!await fs.pathExists(path.join(dir, 'hook.log')))
+    })
+  },
+  {
+    description: 'Hooks: init exits non-zero when a postInit step fails',
+    run: () => withTempDir(async (dir) => {
+      const registries = await publishForCheck(dir, [HOOK_TEMPLATE])
+      const init = execAsync(`node ${CLI_PATH} init -t ${HOOK_TEMPLATE.name} -n project --allow-unsigned`, {
+        cwd: dir,
+        env: { ...process.env, CURSOR_TEMPLATES_REGISTRY: registries[0].url, CURSOR_TEMPLATES_CACHE: path.join(dir, 'cache'), XDG_CONFIG_HOME: path.join(dir, 'config') }
+      })
+      // Answer "Run these commands?"
+      init.child.stdin.end('y\n')
+      const error = await init.then(() => null, error => error)
+      assert.ok(error, 'expected init to fail')
+      assert.strictEqual(error.code, 1)
+      assert.match(error.stdout, /failed +fail/)
+      assert.match(error.stdout, /skipped +after \("fail" failed\)/)
+      assert.ok(await fs.pathExists(path.join(dir, 'project/.cursorrules')))
+      assert.ok(!await fs.pathExists(path.join(dir, 'project/hook.log')))
+    })
+  }
+]
+
+// A hook command that appends `label` to hook.log in its directory
+function logStep(label) {
+  return `node -e "require('fs').appendFileSync('hook.log', '${label} ')"`
+}
+
+// Run `check` with a new, empty directory that is removed afterwards
+async function withTempDir(check) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cursor-templates-check-'))
+  try {
+    await check(dir)
+  } finally {
+    await fs.remove(dir)
+  }
+}
+
+// Pack templates into a file:// registry in `dir`/registry, with `edit` applied
+// to each index entry. Returns the registries to configure.
+async function publishForCheck(dir, templates, edit = entry => entry) {
+  const registryDir = path.join(dir, 'registry')
+  const entries = []
+  for (const template of templates) {
+    entries.push(edit(await packTemplate(template, registryDir)))
+  }
+  await fs.writeJson(path.join(registryDir, 'index.json'), { templates: entries })
+  return [{ url: pathToFileURL(path.join(registryDir, 'index.json')).href, scopes: [] }]
+}
+
+// Checksum and signature of a template with a new key, trusted as "check"
+function signForCheck(template) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  const checksum = getTemplateChecksum(template)
+  return {
+    signed: { checksum, signatures: [signTemplate(template, checksum, privateKey.export({ type: 'pkcs8', format: 'pem' }), 'check')] },
+    trustedKeys: { check: publicKey.export({ type: 'spki', format: 'pem' }) }
+  }
+}
+
+async function runCheck(check) {
+  console.log(chalk.blue(`Checking: ${check.description}`))
+  
+  try {
+    await check.run()
+    console.log(chalk.green('  ✅ Passed'))
+    return true
+  } catch (error) {
+    console.log(chalk.red('  ❌ Failed'))
+    console.log(chalk.red(`  Error: ${error.message}`))
+    return false
+  }
+}
+
 async function testCLI() {
   console.log(chalk.cyan('🧪 Testing CLI functionality...\n'))
   
@@ -65,6 +462,10 @@ async function testCLI() {
       command: `node ${CLI_PATH} search react`,
       description: 'Search templates'
     },
+    {
+      command: `node ${CLI_PATH} search "nxtjs tailwnd"`,
+      description: 'Search with typos'
+    },
     {
       command: `node ${CLI_PATH} list --category frontend`,
       description: 'Filter by category'
@@ -72,6 +473,46 @@ async function testCLI() {
     {
       command: `node ${CLI_PATH} list --tag typescript`,
       description: 'Filter by tag'
+    },
+    {
+      command: `node ${CLI_PATH} apply --help`,
+      description: 'Apply command help'
+    },
+    {
+      command: `node ${CLI_PATH} init -t vue3-typescript-vite -n dry-run-app --pm pnpm --dry-run`,
+      description: 'Init dry run with another package manager'
+    },
+    {
+      command: `node ${CLI_PATH} layers`,
+      description: 'List layers'
+    },
+    {
+      command: `node ${CLI_PATH} create --help`,
+      description: 'Create command help'
+    },
+    {
+      command: `node ${CLI_PATH} validate nextjs`,
+      description: 'Validate a template'
+    },
+    {
+      command: `node ${CLI_PATH} doctor --help`,
+      description: 'Doctor command help'
+    },
+    {
+      command: `node ${CLI_PATH} import --help`,
+      description: 'Import command help'
+    },
+    {
+      command: `node ${CLI_PATH} sign --help`,
+      description: 'Sign command help'
+    },
+    {
+      command: `node ${CLI_PATH} registry list`,
+      description: 'List registries'
+    },
+    {
+      command: `node ${CLI_PATH} recommend`,
+      description: 'Recommend templates'
     }
   ]
   
@@ -88,6 +529,16 @@ async function testCLI() {
     console.log()
   }
   
+  for (const check of checks) {
+    const result = await runCheck(check)
+    if (result) {
+      passed++
+    } else {
+      failed++
+    }
+    console.log()
+  }
+  
   // Summary
   console.log(chalk.cyan('📊 CLI Test Summary:'))
   console.log(chalk.green(`  Passed: ${passed}`))
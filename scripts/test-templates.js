@@ -4,88 +4,36 @@ import fs from 'fs-extra'
 import path from 'path'
 import chalk from 'chalk'
 import { fileURLToPath } from 'url'
+import { loadTemplate } from '../cli/files.js'
+import { validateTemplate, validateLayer } from '../cli/validate.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const TEMPLATES_DIR = path.join(__dirname, '..', 'templates')
+const LAYERS_DIR = path.join(__dirname, '..', 'layers')
 
-async function validateTemplate(templatePath, templateName) {
-  const errors = []
-  const warnings = []
+async function testAllLayers() {
+  let invalidLayers = 0
+  if (!await fs.pathExists(LAYERS_DIR)) return invalidLayers
   
-  try {
-    const template = await fs.readJson(templatePath)
-    
-    // Required fields validation
-    const required = ['name', 'description', 'version', 'rules']
-    for (const field of required) {
-      if (!template[field]) {
-        errors.push(`Missing required field: ${field}`)
-      }
-    }
-    
-    // Version format validation
-    if (template.version && !/^\d+\.\d+\.\d+$/.test(template.version)) {
-      errors.push('Invalid version format. Use semantic versioning (x.y.z)')
-    }
-    
-    // Rules validation
-    if (template.rules) {
-      if (!template.rules.context) {
-        warnings.push('Missing rules.context')
-      }
-      if (!template.rules.style) {
-        warnings.push('Missing rules.style')
-      }
-      if (!template.rules.restrictions) {
-        warnings.push('Missing rules.restrictions')
-      }
-      if (!template.rules.preferences) {
-        warnings.push('Missing rules.preferences')
-      }
-    }
-    
-    // Tags validation
-    if (!template.tags || template.tags.length === 0) {
-      warnings.push('No tags specified')
-    }
-    
-    // Files validation
-    if (template.files) {
-      for (const file of template.files) {
-        if (!file.path || !file.content) {
-          errors.push(`Invalid file entry: ${JSON.stringify(file)}`)
-        }
-        
-        // Check for .cursorrules file
-        if (file.path === '.cursorrules' && file.content.length < 100) {
-          warnings.push('.cursorrules file seems too short')
-        }
-      }
-    } else {
-      warnings.push('No files specified')
-    }
+  console.log(chalk.cyan('\n🧩 Testing layers...\n'))
+  
+  for (const dir of await fs.readdir(LAYERS_DIR)) {
+    const layerPath = path.join(LAYERS_DIR, dir, 'layer.json')
+    if (!await fs.pathExists(layerPath)) continue
     
-    // Commands validation
-    if (template.commands) {
-      if (!template.commands.install) {
-        warnings.push('No install command specified')
-      }
-      if (!template.commands.dev) {
-        warnings.push('No dev command specified')
-      }
+    const { errors, warnings } = await validateLayer(layerPath)
+    if (errors.length > 0) {
+      invalidLayers++
+      console.log(chalk.red(`  ❌ ${dir}`))
     } else {
-      warnings.push('No commands specified')
-    }
-    
-    return { errors, warnings, template }
-  } catch (error) {
-    return { 
-      errors: [`Failed to parse template: ${error.message}`], 
-      warnings: [],
-      template: null 
+      console.log(chalk.green(`  ✅ ${dir}`))
     }
+    errors.forEach(error => console.log(chalk.red(`     • ${error}`)))
+    warnings.forEach(warning => console.log(chalk.yellow(`     • ${warning}`)))
   }
+  
+  return invalidLayers
 }
 
 async function testAllTemplates() {
@@ -98,6 +46,14 @@ async function testAllTemplates() {
   
   try {
     const templateDirs = await fs.readdir(TEMPLATES_DIR)
+    const templates = []
+    for (const dir of templateDirs) {
+      try {
+        templates.push(await loadTemplate(path.join(TEMPLATES_DIR, dir)))
+      } catch (error) {
+        // Reported when the template itself is validated
+      }
+    }
     
     for (const dir of templateDirs) {
       const templatePath = path.join(TEMPLATES_DIR, dir, 'template.json')
@@ -106,7 +62,7 @@ async function testAllTemplates() {
         totalTemplates++
         console.log(chalk.bold(`Testing: ${dir}`))
         
-        const result = await validateTemplate(templatePath, dir)
+        const result = await validateTemplate(templatePath, dir, templates)
         allResults.push({ name: dir, ...result })
         
         if (result.errors.length === 0) {
@@ -157,8 +113,10 @@ async function testAllTemplates() {
     
     console.log(chalk.gray(`\nDetailed report saved to: ${reportPath}`))
     
-    // Exit with error code if any templates are invalid
-    if (totalTemplates - validTemplates - templatesWithWarnings > 0) {
+    const invalidLayers = await testAllLayers()
+    
+    // Exit with error code if any templates or layers are invalid
+    if (totalTemplates - validTemplates - templatesWithWarnings > 0 || invalidLayers > 0) {
       process.exit(1)
     }
     
@@ -173,4 +131,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   testAllTemplates()
 }
 
-export { validateTemplate, testAllTemplates }
\ No newline at end of file
+export { testAllTemplates }
\ No newline at end of file
@@ -0,0 +1,31 @@
+import { Request, Response, NextFunction } from 'express'
+
+interface AppError extends Error {
+  statusCode?: number
+  isOperational?: boolean
+}
+
+export const errorHandler = (
+  err: AppError,
+  req: Request,
+  res: Response,
+  next: NextFunction
+): void => {
+  const statusCode = err.statusCode || 500
+  const message = err.message || 'Internal Server Error'
+
+  // Log error
+  console.error(`Error ${statusCode}: ${message}`, {
+    url: req.url,
+    method: req.method,
+    stack: err.stack
+  })
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      message,
+      ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+    }
+  })
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+from pydantic import BaseModel, Field
+from typing import Optional
+from datetime import datetime
+
+class ExampleBase(BaseModel):
+    """Base schema for Example"""
+    title: str = Field(..., min_length=1, max_length=100)
+    description: Optional[str] = Field(None, max_length=500)
+
+class ExampleCreate(ExampleBase):
+    """Schema for creating Example"""
+    pass
+
+class ExampleUpdate(BaseModel):
+    """Schema for updating Example"""
+    title: Optional[str] = Field(None, min_length=1, max_length=100)
+    description: Optional[str] = Field(None, max_length=500)
+
+class ExampleResponse(ExampleBase):
+    """Schema for Example response"""
+    id: int
+    created_at: datetime
+    updated_at: datetime
+
+    class Config:
+        from_attributes = True
\ No newline at end of file
@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react'
+
+interface UseExampleReturn {
+  data: string | null
+  loading: boolean
+  error: Error | null
+}
+
+export function useExample(initialValue?: string): UseExampleReturn {
+  const [data, setData] = useState<string | null>(initialValue ?? null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<Error | null>(null)
+
+  useEffect(() => {
+    // Example effect logic
+  }, [])
+
+  return { data, loading, error }
+}
\ No newline at end of file
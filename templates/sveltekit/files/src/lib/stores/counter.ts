@@ -0,0 +1,25 @@
+import { writable, derived } from 'svelte/store'
+
+function createCounter(initialValue = 0) {
+  const { subscribe, set, update } = writable(initialValue)
+
+  return {
+    subscribe,
+    increment: () => update(n => n + 1),
+    decrement: () => update(n => n - 1),
+    reset: () => set(initialValue),
+    set
+  }
+}
+
+export const counter = createCounter()
+
+export const doubled = derived(
+  counter,
+  $counter => $counter * 2
+)
+
+export const quadrupled = derived(
+  doubled,
+  $doubled => $doubled * 2
+)
\ No newline at end of file
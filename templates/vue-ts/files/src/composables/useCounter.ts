@@ -0,0 +1,56 @@
+import { ref, computed, Ref } from 'vue'
+
+interface UseCounterOptions {
+  initialValue?: number
+  min?: number
+  max?: number
+}
+
+interface UseCounterReturn {
+  count: Ref<number>
+  doubleCount: Ref<number>
+  increment: () => void
+  decrement: () => void
+  reset: () => void
+  set: (value: number) => void
+}
+
+export function useCounter(options: UseCounterOptions = {}): UseCounterReturn {
+  const {
+    initialValue = 0,
+    min = -Infinity,
+    max = Infinity
+  } = options
+
+  const count = ref(initialValue)
+  const doubleCount = computed(() => count.value * 2)
+
+  function increment() {
+    if (count.value < max) {
+      count.value++
+    }
+  }
+
+  function decrement() {
+    if (count.value > min) {
+      count.value--
+    }
+  }
+
+  function reset() {
+    count.value = initialValue
+  }
+
+  function set(value: number) {
+    count.value = Math.max(min, Math.min(max, value))
+  }
+
+  return {
+    count: readonly(count),
+    doubleCount,
+    increment,
+    decrement,
+    reset,
+    set
+  }
+}
\ No newline at end of file